@@ -0,0 +1,59 @@
+// Rate limit budgets per action: at most perUser / perIp hits per window
+// Every number can be overridden with an env var, e.g. RATE_LIMIT_SEND_MESSAGE_PER_USER=60
+const DEFAULT_LIMITS = {
+  api: { windowSeconds: 60, perIp: 600 },
+  register: { windowSeconds: 60 * 60, perIp: 10 },
+  login: { windowSeconds: 15 * 60, perIp: 50 },
+  refresh: { windowSeconds: 60, perIp: 30 },
+  sendMessage: { windowSeconds: 10, perUser: 20, perIp: 60 },
+  upload: { windowSeconds: 60, perUser: 20 },
+  forward: { windowSeconds: 60, perUser: 10 },
+  editMessage: { windowSeconds: 60, perUser: 30 },
+  editScheduledMessage: { windowSeconds: 60, perUser: 30 },
+  typing: { windowSeconds: 10, perUser: 30 },
+  callUser: { windowSeconds: 60, perUser: 5, perIp: 20 },
+  callSignal: { windowSeconds: 10, perUser: 200 },
+};
+
+// Socket events counted against a rate limit action
+export const SOCKET_EVENT_LIMITS = {
+  'send-message': 'sendMessage',
+  'edit-message': 'editMessage',
+  'typing-start': 'typing',
+  'typing-stop': 'typing',
+  'call-user': 'callUser',
+  'answer-call': 'callSignal',
+  'ice-candidate': 'callSignal',
+  'group-call-signal': 'callSignal',
+  'group-call-return-signal': 'callSignal',
+};
+
+// Failed logins allowed per account and IP before that IP is locked out of the account for the window
+const DEFAULT_LOGIN_LOCKOUT = { maxFailures: 5, windowSeconds: 15 * 60 };
+
+const envName = (...parts) =>
+  ['RATE_LIMIT', ...parts].join('_').replace(/([a-z])([A-Z])/g, '$1_$2').toUpperCase();
+
+const envNumber = (name, fallback) => {
+  const value = parseInt(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+// Get the budget for an action, with env overrides applied
+export const getRateLimit = (action) => {
+  const defaults = DEFAULT_LIMITS[action];
+  if (!defaults) {
+    throw new Error(`Unknown rate limit: ${action}`);
+  }
+
+  return {
+    windowMs: envNumber(envName(action, 'window'), defaults.windowSeconds) * 1000,
+    perUser: envNumber(envName(action, 'perUser'), defaults.perUser),
+    perIp: envNumber(envName(action, 'perIp'), defaults.perIp),
+  };
+};
+
+export const getLoginLockout = () => ({
+  maxFailures: envNumber('LOGIN_MAX_FAILURES', DEFAULT_LOGIN_LOCKOUT.maxFailures),
+  windowMs: envNumber('LOGIN_LOCKOUT_SECONDS', DEFAULT_LOGIN_LOCKOUT.windowSeconds) * 1000,
+});
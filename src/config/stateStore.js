@@ -0,0 +1,55 @@
+import crypto from 'crypto';
+import { createClient } from 'redis';
+import { createAdapter } from '@socket.io/redis-adapter';
+import { createMemoryStore } from '../state/memoryStore.js';
+import { createRedisStore } from '../state/redisStore.js';
+
+// Calls older than 30 minutes are considered stale
+const CALL_TTL = 30 * 60 * 1000;
+
+// An instance that misses heartbeats this long is considered dead and its sockets are removed
+const INSTANCE_TTL = 30 * 1000;
+
+let store;
+
+// Set up the shared state store (presence, calls, rate limits) and the Socket.IO adapter
+// Uses Redis when REDIS_URL is set so state is shared across instances,
+// otherwise keeps state in memory. A custom store can be passed in (e.g. for tests).
+export const initializeStateStore = async (io, customStore) => {
+  if (customStore) {
+    store = customStore;
+    return store;
+  }
+
+  if (!process.env.REDIS_URL) {
+    store = createMemoryStore({ callTtl: CALL_TTL });
+    return store;
+  }
+
+  const pubClient = createClient({ url: process.env.REDIS_URL });
+  const subClient = pubClient.duplicate();
+
+  pubClient.on('error', (error) => console.error('❌ Redis Error:', error.message));
+  subClient.on('error', (error) => console.error('❌ Redis Error:', error.message));
+
+  await Promise.all([pubClient.connect(), subClient.connect()]);
+  console.log('✅ Redis Connected');
+
+  // Broadcast emits to sockets on every instance
+  io.adapter(createAdapter(pubClient, subClient));
+
+  store = createRedisStore(pubClient, {
+    callTtl: CALL_TTL,
+    instanceId: crypto.randomUUID(),
+    instanceTtl: INSTANCE_TTL,
+  });
+  await store.registerInstance();
+  return store;
+};
+
+export const getStateStore = () => {
+  if (!store) {
+    throw new Error('State store not initialized!');
+  }
+  return store;
+};
@@ -1,5 +1,14 @@
-import User from '../models/User.js';
-import { generateToken } from '../middleware/auth.js';
+import mongoose from 'mongoose';
+import User, { PRIVACY_FIELDS } from '../models/User.js';
+import Session from '../models/Session.js';
+import { generateToken, generateRefreshToken, createSession } from '../middleware/auth.js';
+import { disconnectSessions, isUserOnline } from '../socket/socketHandler.js';
+import {
+  getLoginLockSeconds,
+  recordLoginFailure,
+  clearLoginFailures,
+  sendTooManyRequests,
+} from '../middleware/rateLimit.js';
 
 // @desc    Register new user
 // @route   POST /api/auth/register
@@ -28,8 +37,8 @@ export const register = async (req, res, next) => {
       password,
     });
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Start a session and issue tokens
+    const { token, refreshToken } = await createSession(user._id, req);
 
     res.status(201).json({
       success: true,
@@ -37,6 +46,7 @@ export const register = async (req, res, next) => {
       data: {
         user,
         token,
+        refreshToken,
       },
     });
   } catch (error) {
@@ -59,10 +69,21 @@ export const login = async (req, res, next) => {
       });
     }
 
+    // Refuse logins while the account is locked after repeated failures
+    const lockSeconds = await getLoginLockSeconds(email, req.ip);
+    if (lockSeconds > 0) {
+      return sendTooManyRequests(
+        res,
+        lockSeconds,
+        `Too many failed login attempts, please try again in ${Math.ceil(lockSeconds / 60)} minute(s)`
+      );
+    }
+
     // Check for user
     const user = await User.findOne({ email }).select('+password');
 
     if (!user) {
+      await recordLoginFailure(email, req.ip);
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials',
@@ -73,18 +94,21 @@ export const login = async (req, res, next) => {
     const isMatch = await user.comparePassword(password);
 
     if (!isMatch) {
+      await recordLoginFailure(email, req.ip);
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials',
       });
     }
 
+    await clearLoginFailures(email, req.ip);
+
     // Update online status
     user.isOnline = true;
     await user.save({ validateBeforeSave: false });
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Start a session and issue tokens
+    const { token, refreshToken } = await createSession(user._id, req);
 
     // Remove password from response
     user.password = undefined;
@@ -95,6 +119,7 @@ export const login = async (req, res, next) => {
       data: {
         user,
         token,
+        refreshToken,
       },
     });
   } catch (error) {
@@ -107,11 +132,18 @@ export const login = async (req, res, next) => {
 // @access  Private
 export const getMe = async (req, res, next) => {
   try {
-    const user = await User.findById(req.user._id).populate('contacts', 'name avatar isOnline lastSeen about');
+    const user = await User.findById(req.user._id).populate(
+      'contacts',
+      `name avatar isOnline lastSeen about ${PRIVACY_FIELDS}`
+    );
+
+    // Hide contact details the current user isn't allowed to see
+    const data = user.toJSON();
+    data.contacts = data.contacts.map((contact) => User.applyPrivacy(contact, req.user._id));
 
     res.status(200).json({
       success: true,
-      data: user,
+      data,
     });
   } catch (error) {
     next(error);
@@ -123,12 +155,18 @@ export const getMe = async (req, res, next) => {
 // @access  Private
 export const logout = async (req, res, next) => {
   try {
-    // Update user status
-    await User.findByIdAndUpdate(req.user._id, {
-      isOnline: false,
-      lastSeen: new Date(),
-      socketId: '',
-    });
+    // Revoke the current session
+    req.session.revokedAt = new Date();
+    await req.session.save();
+    disconnectSessions([req.session._id]);
+
+    // Update user status unless still connected from another device
+    if (!(await isUserOnline(req.user._id.toString()))) {
+      await User.findByIdAndUpdate(req.user._id, {
+        isOnline: false,
+        lastSeen: new Date(),
+      });
+    }
 
     res.status(200).json({
       success: true,
@@ -161,16 +199,149 @@ export const updatePassword = async (req, res, next) => {
     user.password = newPassword;
     await user.save();
 
-    // Generate new token
-    const token = generateToken(user._id);
+    // Sign out every device, then start a fresh session for this one
+    const revokedIds = await Session.revokeAll(user._id);
+    disconnectSessions(revokedIds);
+
+    const { token, refreshToken } = await createSession(user._id, req);
 
     res.status(200).json({
       success: true,
       message: 'Password updated successfully',
-      data: { token },
+      data: { token, refreshToken },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Refresh access token
+// @route   POST /api/auth/refresh
+// @access  Public
+export const refreshToken = async (req, res, next) => {
+  try {
+    const { refreshToken: token } = req.body;
+
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide a refresh token',
+      });
+    }
+
+    const [sessionId] = token.split('.');
+    const session = mongoose.isValidObjectId(sessionId)
+      ? await Session.findActive(sessionId).select('+refreshTokenHash')
+      : null;
+
+    if (!session) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid refresh token',
+      });
+    }
+
+    // A rotated-out token being reused means it was likely stolen
+    if (session.refreshTokenHash !== Session.hashToken(token)) {
+      session.revokedAt = new Date();
+      await session.save();
+      disconnectSessions([session._id]);
+
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid refresh token',
+      });
+    }
+
+    // Rotate refresh token
+    const newRefreshToken = generateRefreshToken(session._id);
+    session.refreshTokenHash = Session.hashToken(newRefreshToken);
+    session.lastUsedAt = new Date();
+    await session.save();
+
+    res.status(200).json({
+      success: true,
+      data: {
+        token: generateToken(session.user, session._id),
+        refreshToken: newRefreshToken,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get active sessions
+// @route   GET /api/auth/sessions
+// @access  Private
+export const getSessions = async (req, res, next) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() },
+    }).sort({ lastUsedAt: -1 });
+
+    const data = sessions.map((session) => ({
+      _id: session._id,
+      userAgent: session.userAgent,
+      ipAddress: session.ipAddress,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      isCurrent: session._id.toString() === req.session._id.toString(),
+    }));
+
+    res.status(200).json({
+      success: true,
+      data,
     });
   } catch (error) {
     next(error);
   }
 };
 
+// @desc    Sign out a session
+// @route   DELETE /api/auth/sessions/:sessionId
+// @access  Private
+export const revokeSession = async (req, res, next) => {
+  try {
+    const session = await Session.findOneAndUpdate(
+      { _id: req.params.sessionId, user: req.user._id, revokedAt: null },
+      { revokedAt: new Date() }
+    );
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found',
+      });
+    }
+
+    disconnectSessions([session._id]);
+
+    res.status(200).json({
+      success: true,
+      message: 'Session signed out',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Sign out all other sessions
+// @route   DELETE /api/auth/sessions
+// @access  Private
+export const revokeOtherSessions = async (req, res, next) => {
+  try {
+    const revokedIds = await Session.revokeAll(req.user._id, req.session._id);
+    disconnectSessions(revokedIds);
+
+    res.status(200).json({
+      success: true,
+      message: 'Signed out of all other sessions',
+      count: revokedIds.length,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
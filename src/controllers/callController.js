@@ -47,6 +47,15 @@ export const initiateCall = async (req, res, next) => {
         });
       }
 
+      // Check if either user has blocked the other
+      const blockReason = await User.getBlockReason(req.user._id, receiverId);
+      if (blockReason) {
+        return res.status(403).json({
+          success: false,
+          message: blockReason,
+        });
+      }
+
       // Get or create conversation
       conversation = await Conversation.findOrCreatePrivate(req.user._id, receiverId);
       participants = [{ user: receiverId, status: 'pending' }];
@@ -65,23 +74,21 @@ export const initiateCall = async (req, res, next) => {
     });
 
     await call.populate('caller', 'name email avatar');
-    await call.populate('participants.user', 'name email avatar socketId');
+    await call.populate('participants.user', 'name email avatar');
 
-    // Emit call invitation to participants
+    // Emit call invitation to all of each participant's devices
     const io = getIO();
     
     call.participants.forEach((participant) => {
-      if (participant.user.socketId) {
-        io.to(participant.user.socketId).emit('incoming-call', {
-          call: call.toObject(),
-          caller: {
-            _id: req.user._id,
-            name: req.user.name,
-            email: req.user.email,
-            avatar: req.user.avatar,
-          },
-        });
-      }
+      io.to(`user:${participant.user._id}`).emit('incoming-call', {
+        call: call.toObject(),
+        caller: {
+          _id: req.user._id,
+          name: req.user.name,
+          email: req.user.email,
+          avatar: req.user.avatar,
+        },
+      });
     });
 
     res.status(201).json({
@@ -99,8 +106,8 @@ export const initiateCall = async (req, res, next) => {
 export const acceptCall = async (req, res, next) => {
   try {
     const call = await Call.findById(req.params.callId)
-      .populate('caller', 'name email avatar socketId')
-      .populate('participants.user', 'name email avatar socketId');
+      .populate('caller', 'name email avatar')
+      .populate('participants.user', 'name email avatar');
 
     if (!call) {
       return res.status(404).json({
@@ -135,17 +142,15 @@ export const acceptCall = async (req, res, next) => {
     // Notify caller and other participants
     const io = getIO();
     
-    if (call.caller.socketId) {
-      io.to(call.caller.socketId).emit('call-accepted', {
-        callId: call._id,
-        acceptedBy: {
-          _id: req.user._id,
-          name: req.user.name,
-          email: req.user.email,
-          avatar: req.user.avatar,
-        },
-      });
-    }
+    io.to(`user:${call.caller._id}`).emit('call-accepted', {
+      callId: call._id,
+      acceptedBy: {
+        _id: req.user._id,
+        name: req.user.name,
+        email: req.user.email,
+        avatar: req.user.avatar,
+      },
+    });
 
     res.status(200).json({
       success: true,
@@ -162,8 +167,8 @@ export const acceptCall = async (req, res, next) => {
 export const rejectCall = async (req, res, next) => {
   try {
     const call = await Call.findById(req.params.callId)
-      .populate('caller', 'name email avatar socketId')
-      .populate('participants.user', 'name email avatar socketId');
+      .populate('caller', 'name email avatar')
+      .populate('participants.user', 'name email avatar');
 
     if (!call) {
       return res.status(404).json({
@@ -200,15 +205,13 @@ export const rejectCall = async (req, res, next) => {
 
     // Notify caller
     const io = getIO();
-    if (call.caller.socketId) {
-      io.to(call.caller.socketId).emit('call-rejected', {
-        callId: call._id,
-        rejectedBy: {
-          _id: req.user._id,
-          name: req.user.name,
-        },
-      });
-    }
+    io.to(`user:${call.caller._id}`).emit('call-rejected', {
+      callId: call._id,
+      rejectedBy: {
+        _id: req.user._id,
+        name: req.user.name,
+      },
+    });
 
     res.status(200).json({
       success: true,
@@ -224,9 +227,7 @@ export const rejectCall = async (req, res, next) => {
 // @access  Private
 export const endCall = async (req, res, next) => {
   try {
-    const call = await Call.findById(req.params.callId)
-      .populate('caller', 'socketId')
-      .populate('participants.user', 'socketId');
+    const call = await Call.findById(req.params.callId);
 
     if (!call) {
       return res.status(404).json({
@@ -252,23 +253,19 @@ export const endCall = async (req, res, next) => {
     const io = getIO();
     
     // Notify caller
-    if (call.caller.socketId) {
-      io.to(call.caller.socketId).emit('call-ended', {
+    io.to(`user:${call.caller}`).emit('call-ended', {
+      callId: call._id,
+      endedBy: req.user._id,
+      duration: call.duration,
+    });
+
+    // Notify participants
+    call.participants.forEach((p) => {
+      io.to(`user:${p.user}`).emit('call-ended', {
         callId: call._id,
         endedBy: req.user._id,
         duration: call.duration,
       });
-    }
-
-    // Notify participants
-    call.participants.forEach((p) => {
-      if (p.user.socketId) {
-        io.to(p.user.socketId).emit('call-ended', {
-          callId: call._id,
-          endedBy: req.user._id,
-          duration: call.duration,
-        });
-      }
     });
 
     res.status(200).json({
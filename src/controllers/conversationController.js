@@ -1,27 +1,75 @@
-import Conversation from '../models/Conversation.js';
+import Conversation, { GROUP_SETTINGS, DISAPPEARING_DURATIONS } from '../models/Conversation.js';
 import Message from '../models/Message.js';
-import User from '../models/User.js';
+import User, { PRIVACY_FIELDS } from '../models/User.js';
+import { getIO } from '../config/socket.js';
+import { joinConversationRoom, leaveConversationRoom } from '../socket/socketHandler.js';
+
+// Supported mute durations (null means until unmuted)
+const MUTE_DURATIONS = {
+  '8h': 8 * 60 * 60 * 1000,
+  '1w': 7 * 24 * 60 * 60 * 1000,
+  always: null,
+};
+
+// Post a system message (group event or settings change) into the conversation timeline
+// Saves the conversation too, so pending changes to it are stored along with lastMessage
+const postSystemMessage = async (conversation, actorId, action, { targets = [], change } = {}) => {
+  const message = await Message.create({
+    conversation: conversation._id,
+    sender: actorId,
+    type: 'system',
+    systemEvent: { action, actor: actorId, targets, change },
+  });
+
+  conversation.lastMessage = message._id;
+  await conversation.save();
+
+  await message.populate('sender', 'name avatar');
+  await message.populate('systemEvent.targets', 'name avatar');
+
+  const io = getIO();
+  io.to(`conversation:${conversation._id}`).emit('new-message', message);
+
+  return message;
+};
+
+// Hide participant details the current user isn't allowed to see
+const applyParticipantPrivacy = (convObj, viewerId) => {
+  convObj.participants = convObj.participants.map((p) => User.applyPrivacy(p, viewerId));
+  return convObj;
+};
 
 // @desc    Get all conversations for current user
 // @route   GET /api/conversations
 // @access  Private
 export const getConversations = async (req, res, next) => {
   try {
+    await Conversation.clearExpiredMutes({ participants: req.user._id });
+
     const conversations = await Conversation.find({
       participants: req.user._id,
     })
-      .populate('participants', 'name avatar isOnline lastSeen')
+      .populate('participants', `name avatar isOnline lastSeen ${PRIVACY_FIELDS}`)
       .populate('lastMessage')
       .populate('groupAdmin', 'name')
       .sort({ updatedAt: -1 });
 
-    // Add unread count for current user
+    // Add unread count and pinned status for current user
     const conversationsWithUnread = conversations.map((conv) => {
-      const convObj = conv.toObject();
+      const convObj = applyParticipantPrivacy(conv.toObject(), req.user._id);
       convObj.unreadCount = conv.unreadCount?.get(req.user._id.toString()) || 0;
+      convObj.isPinned = conv.pinnedBy.some(
+        (id) => id.toString() === req.user._id.toString()
+      );
+      const mute = conv.getMuteFor(req.user._id);
+      convObj.isMuted = !!mute;
+      convObj.mutedUntil = mute?.until || null;
       return convObj;
     });
 
+    // Pinned conversations first, keeping recency order within each group
+    conversationsWithUnread.sort((a, b) => b.isPinned - a.isPinned);
+
     res.status(200).json({
       success: true,
       data: conversationsWithUnread,
@@ -47,12 +95,12 @@ export const getOrCreatePrivateConversation = async (req, res, next) => {
       });
     }
 
-    // Check if blocked
-    const currentUser = await User.findById(req.user._id);
-    if (currentUser.blockedUsers.includes(otherUserId)) {
-      return res.status(400).json({
+    // Check if either user has blocked the other
+    const blockReason = await User.getBlockReason(req.user._id, otherUserId);
+    if (blockReason) {
+      return res.status(403).json({
         success: false,
-        message: 'You have blocked this user',
+        message: blockReason,
       });
     }
 
@@ -60,10 +108,11 @@ export const getOrCreatePrivateConversation = async (req, res, next) => {
 
     // Populate last message if exists
     await conversation.populate('lastMessage');
+    await conversation.populate('participants', `name avatar isOnline lastSeen ${PRIVACY_FIELDS}`);
 
     res.status(200).json({
       success: true,
-      data: conversation,
+      data: applyParticipantPrivacy(conversation.toObject(), req.user._id),
     });
   } catch (error) {
     next(error);
@@ -76,7 +125,7 @@ export const getOrCreatePrivateConversation = async (req, res, next) => {
 export const getConversationById = async (req, res, next) => {
   try {
     const conversation = await Conversation.findById(req.params.id)
-      .populate('participants', 'name avatar isOnline lastSeen about')
+      .populate('participants', `name avatar isOnline lastSeen about ${PRIVACY_FIELDS}`)
       .populate('lastMessage')
       .populate('groupAdmin', 'name avatar');
 
@@ -101,7 +150,232 @@ export const getConversationById = async (req, res, next) => {
 
     res.status(200).json({
       success: true,
-      data: conversation,
+      data: applyParticipantPrivacy(conversation.toObject(), req.user._id),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Pin conversation
+// @route   POST /api/conversations/:id/pin
+// @access  Private
+export const pinConversation = async (req, res, next) => {
+  try {
+    const maxPinned = parseInt(process.env.MAX_PINNED_CONVERSATIONS) || 3;
+
+    const conversation = await Conversation.findOne({
+      _id: req.params.id,
+      participants: req.user._id,
+    });
+
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Conversation not found',
+      });
+    }
+
+    const isPinned = conversation.pinnedBy.some(
+      (id) => id.toString() === req.user._id.toString()
+    );
+
+    if (isPinned) {
+      return res.status(400).json({
+        success: false,
+        message: 'Conversation already pinned',
+      });
+    }
+
+    // Only count conversations the user is still in
+    const pinnedCount = await Conversation.countDocuments({
+      participants: req.user._id,
+      pinnedBy: req.user._id,
+    });
+    if (pinnedCount >= maxPinned) {
+      return res.status(400).json({
+        success: false,
+        message: `You can only pin up to ${maxPinned} conversations`,
+      });
+    }
+
+    // Don't touch updatedAt so the chat keeps its place in recency order
+    await Conversation.updateOne(
+      { _id: conversation._id },
+      { $addToSet: { pinnedBy: req.user._id } },
+      { timestamps: false }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: 'Conversation pinned',
+      isPinned: true,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Unpin conversation
+// @route   DELETE /api/conversations/:id/pin
+// @access  Private
+export const unpinConversation = async (req, res, next) => {
+  try {
+    const conversation = await Conversation.findOneAndUpdate(
+      { _id: req.params.id, participants: req.user._id },
+      { $pull: { pinnedBy: req.user._id } },
+      { timestamps: false }
+    );
+
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Conversation not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Conversation unpinned',
+      isPinned: false,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Mute conversation
+// @route   POST /api/conversations/:id/mute
+// @access  Private
+export const muteConversation = async (req, res, next) => {
+  try {
+    const { duration } = req.body;
+
+    if (!Object.prototype.hasOwnProperty.call(MUTE_DURATIONS, duration)) {
+      return res.status(400).json({
+        success: false,
+        message: `Mute duration must be one of: ${Object.keys(MUTE_DURATIONS).join(', ')}`,
+      });
+    }
+
+    const conversation = await Conversation.findOne({
+      _id: req.params.id,
+      participants: req.user._id,
+    });
+
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Conversation not found',
+      });
+    }
+
+    const until = MUTE_DURATIONS[duration]
+      ? new Date(Date.now() + MUTE_DURATIONS[duration])
+      : null;
+
+    // Replace any existing mute for this user
+    conversation.mutedBy = conversation.mutedBy.filter(
+      (m) => m.user.toString() !== req.user._id.toString()
+    );
+    conversation.mutedBy.push({ user: req.user._id, until });
+    await conversation.save({ timestamps: false });
+
+    res.status(200).json({
+      success: true,
+      message: 'Conversation muted',
+      data: {
+        isMuted: true,
+        mutedUntil: until,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Unmute conversation
+// @route   DELETE /api/conversations/:id/mute
+// @access  Private
+export const unmuteConversation = async (req, res, next) => {
+  try {
+    const conversation = await Conversation.findOneAndUpdate(
+      { _id: req.params.id, participants: req.user._id },
+      { $pull: { mutedBy: { user: req.user._id } } },
+      { timestamps: false }
+    );
+
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Conversation not found',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Conversation unmuted',
+      data: {
+        isMuted: false,
+        mutedUntil: null,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Set disappearing messages timer
+// @route   PUT /api/conversations/:id/disappearing
+// @access  Private (Admin only for groups)
+export const setDisappearingMessages = async (req, res, next) => {
+  try {
+    const { duration } = req.body;
+
+    if (!Object.prototype.hasOwnProperty.call(DISAPPEARING_DURATIONS, duration)) {
+      return res.status(400).json({
+        success: false,
+        message: `Disappearing messages duration must be one of: ${Object.keys(DISAPPEARING_DURATIONS).join(', ')}`,
+      });
+    }
+
+    const conversation = await Conversation.findOne({
+      _id: req.params.id,
+      participants: req.user._id,
+    });
+
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Conversation not found',
+      });
+    }
+
+    if (conversation.type === 'group' && !conversation.isAdmin(req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only admins can change disappearing messages',
+      });
+    }
+
+    const disappearingDuration = DISAPPEARING_DURATIONS[duration];
+
+    if (conversation.disappearingDuration !== disappearingDuration) {
+      conversation.disappearingDuration = disappearingDuration;
+      await postSystemMessage(conversation, req.user._id, 'disappearing-messages-changed', {
+        change: { duration },
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: disappearingDuration
+        ? 'Disappearing messages turned on'
+        : 'Disappearing messages turned off',
+      data: {
+        duration,
+        disappearingDuration,
+      },
     });
   } catch (error) {
     next(error);
@@ -134,12 +408,17 @@ export const createGroupConversation = async (req, res, next) => {
       createdBy: req.user._id,
     });
 
-    await conversation.populate('participants', 'name avatar isOnline lastSeen');
+    joinConversationRoom(allParticipants, conversation._id);
+    await postSystemMessage(conversation, req.user._id, 'group-created', {
+      targets: allParticipants.filter((id) => id !== req.user._id.toString()),
+      change: { name },
+    });
+    await conversation.populate('participants', `name avatar isOnline lastSeen ${PRIVACY_FIELDS}`);
 
     res.status(201).json({
       success: true,
       message: 'Group created successfully',
-      data: conversation,
+      data: applyParticipantPrivacy(conversation.toObject(), req.user._id),
     });
   } catch (error) {
     next(error);
@@ -161,28 +440,38 @@ export const updateGroup = async (req, res, next) => {
       });
     }
 
-    // Check if user is admin
-    const isAdmin = conversation.groupAdmin.some(
-      (admin) => admin.toString() === req.user._id.toString()
+    // Check if user is participant
+    const isParticipant = conversation.participants.some(
+      (p) => p.toString() === req.user._id.toString()
     );
 
-    if (!isAdmin) {
+    if (!isParticipant || !conversation.canPerform(req.user._id, 'editInfo')) {
       return res.status(403).json({
         success: false,
         message: 'Only admins can update group info',
       });
     }
 
-    if (name) conversation.groupName = name;
-    if (description !== undefined) conversation.groupDescription = description;
+    // Record what changed as { from, to } for the timeline
+    const change = {};
+    if (name && name !== conversation.groupName) {
+      change.name = { from: conversation.groupName, to: name };
+      conversation.groupName = name;
+    }
+    if (description !== undefined && description !== conversation.groupDescription) {
+      change.description = { from: conversation.groupDescription, to: description };
+      conversation.groupDescription = description;
+    }
 
-    await conversation.save();
-    await conversation.populate('participants', 'name avatar isOnline lastSeen');
+    if (Object.keys(change).length > 0) {
+      await postSystemMessage(conversation, req.user._id, 'group-info-updated', { change });
+    }
+    await conversation.populate('participants', `name avatar isOnline lastSeen ${PRIVACY_FIELDS}`);
 
     res.status(200).json({
       success: true,
       message: 'Group updated successfully',
-      data: conversation,
+      data: applyParticipantPrivacy(conversation.toObject(), req.user._id),
     });
   } catch (error) {
     next(error);
@@ -204,31 +493,35 @@ export const addParticipants = async (req, res, next) => {
       });
     }
 
-    // Check if user is admin
-    const isAdmin = conversation.groupAdmin.some(
-      (admin) => admin.toString() === req.user._id.toString()
+    // Check if user is participant
+    const isParticipant = conversation.participants.some(
+      (p) => p.toString() === req.user._id.toString()
     );
 
-    if (!isAdmin) {
+    if (!isParticipant || !conversation.canPerform(req.user._id, 'addMembers')) {
       return res.status(403).json({
         success: false,
         message: 'Only admins can add participants',
       });
     }
 
-    // Add new participants
-    const newParticipants = participants.filter(
-      (p) => !conversation.participants.includes(p)
-    );
+    // Add new participants (this also settles their pending join requests)
+    const newParticipants = conversation.addMembers(participants);
 
-    conversation.participants.push(...newParticipants);
-    await conversation.save();
-    await conversation.populate('participants', 'name avatar isOnline lastSeen');
+    if (newParticipants.length > 0) {
+      joinConversationRoom(newParticipants, conversation._id);
+      await postSystemMessage(conversation, req.user._id, 'participants-added', {
+        targets: newParticipants,
+      });
+    } else if (conversation.isModified('joinRequests')) {
+      await conversation.save({ timestamps: false });
+    }
+    await conversation.populate('participants', `name avatar isOnline lastSeen ${PRIVACY_FIELDS}`);
 
     res.status(200).json({
       success: true,
       message: 'Participants added successfully',
-      data: conversation,
+      data: applyParticipantPrivacy(conversation.toObject(), req.user._id),
     });
   } catch (error) {
     next(error);
@@ -250,34 +543,46 @@ export const removeParticipant = async (req, res, next) => {
     }
 
     // Check if user is admin
-    const isAdmin = conversation.groupAdmin.some(
-      (admin) => admin.toString() === req.user._id.toString()
-    );
-
-    if (!isAdmin) {
+    if (!conversation.isAdmin(req.user._id)) {
       return res.status(403).json({
         success: false,
         message: 'Only admins can remove participants',
       });
     }
 
-    // Remove participant
-    conversation.participants = conversation.participants.filter(
-      (p) => p.toString() !== req.params.userId
-    );
+    if (conversation.createdBy?.toString() === req.params.userId) {
+      return res.status(403).json({
+        success: false,
+        message: 'The group owner cannot be removed',
+      });
+    }
 
-    // Also remove from admin if they were admin
-    conversation.groupAdmin = conversation.groupAdmin.filter(
-      (admin) => admin.toString() !== req.params.userId
+    const isParticipant = conversation.participants.some(
+      (p) => p.toString() === req.params.userId
     );
 
-    await conversation.save();
-    await conversation.populate('participants', 'name avatar isOnline lastSeen');
+    if (!isParticipant) {
+      return res.status(400).json({
+        success: false,
+        message: 'User is not a participant of this group',
+      });
+    }
+
+    // Remove participant (and from admins, if they were one)
+    conversation.removeMember(req.params.userId);
+
+    await postSystemMessage(conversation, req.user._id, 'participant-removed', {
+      targets: [req.params.userId],
+    });
+
+    // Stop live updates after the removed user has seen the system message
+    leaveConversationRoom([req.params.userId], conversation._id);
+    await conversation.populate('participants', `name avatar isOnline lastSeen ${PRIVACY_FIELDS}`);
 
     res.status(200).json({
       success: true,
       message: 'Participant removed successfully',
-      data: conversation,
+      data: applyParticipantPrivacy(conversation.toObject(), req.user._id),
     });
   } catch (error) {
     next(error);
@@ -298,19 +603,24 @@ export const leaveGroup = async (req, res, next) => {
       });
     }
 
-    // Remove user from participants
-    conversation.participants = conversation.participants.filter(
-      (p) => p.toString() !== req.user._id.toString()
+    const isParticipant = conversation.participants.some(
+      (p) => p.toString() === req.user._id.toString()
     );
 
-    // Remove from admin if was admin
-    conversation.groupAdmin = conversation.groupAdmin.filter(
-      (admin) => admin.toString() !== req.user._id.toString()
-    );
+    if (!isParticipant) {
+      return res.status(400).json({
+        success: false,
+        message: 'You are not a participant of this group',
+      });
+    }
+
+    // Remove user from participants (and from admins, if they were one)
+    conversation.removeMember(req.user._id);
 
     // If no participants left, delete the group
     if (conversation.participants.length === 0) {
       await Conversation.findByIdAndDelete(req.params.id);
+      leaveConversationRoom([req.user._id], conversation._id);
       return res.status(200).json({
         success: true,
         message: 'Group deleted as no participants left',
@@ -322,7 +632,15 @@ export const leaveGroup = async (req, res, next) => {
       conversation.groupAdmin.push(conversation.participants[0]);
     }
 
-    await conversation.save();
+    // Hand ownership to the longest-serving remaining admin
+    const change = {};
+    if (conversation.createdBy?.toString() === req.user._id.toString()) {
+      conversation.createdBy = conversation.groupAdmin[0];
+      change.newOwner = conversation.createdBy;
+    }
+
+    await postSystemMessage(conversation, req.user._id, 'participant-left', { change });
+    leaveConversationRoom([req.user._id], conversation._id);
 
     res.status(200).json({
       success: true,
@@ -348,11 +666,7 @@ export const makeAdmin = async (req, res, next) => {
     }
 
     // Check if current user is admin
-    const isAdmin = conversation.groupAdmin.some(
-      (admin) => admin.toString() === req.user._id.toString()
-    );
-
-    if (!isAdmin) {
+    if (!conversation.isAdmin(req.user._id)) {
       return res.status(403).json({
         success: false,
         message: 'Only admins can make other users admin',
@@ -372,9 +686,11 @@ export const makeAdmin = async (req, res, next) => {
     }
 
     // Add to admin
-    if (!conversation.groupAdmin.includes(req.params.userId)) {
+    if (!conversation.isAdmin(req.params.userId)) {
       conversation.groupAdmin.push(req.params.userId);
-      await conversation.save();
+      await postSystemMessage(conversation, req.user._id, 'admin-added', {
+        targets: [req.params.userId],
+      });
     }
 
     res.status(200).json({
@@ -386,6 +702,447 @@ export const makeAdmin = async (req, res, next) => {
   }
 };
 
+// @desc    Remove admin rights from a user
+// @route   DELETE /api/conversations/group/:id/admin/:userId
+// @access  Private (Admin only)
+export const removeAdmin = async (req, res, next) => {
+  try {
+    const conversation = await Conversation.findById(req.params.id);
+
+    if (!conversation || conversation.type !== 'group') {
+      return res.status(404).json({
+        success: false,
+        message: 'Group not found',
+      });
+    }
+
+    // Check if current user is admin
+    if (!conversation.isAdmin(req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only admins can remove admin rights',
+      });
+    }
+
+    if (!conversation.isAdmin(req.params.userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'User is not an admin of this group',
+      });
+    }
+
+    // The owner can step down but can't be demoted by other admins
+    if (
+      conversation.createdBy?.toString() === req.params.userId &&
+      req.params.userId !== req.user._id.toString()
+    ) {
+      return res.status(403).json({
+        success: false,
+        message: 'The group owner cannot be demoted',
+      });
+    }
+
+    if (conversation.groupAdmin.length === 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'A group must have at least one admin',
+      });
+    }
+
+    conversation.groupAdmin = conversation.groupAdmin.filter(
+      (admin) => admin.toString() !== req.params.userId
+    );
+    await postSystemMessage(conversation, req.user._id, 'admin-removed', {
+      targets: [req.params.userId],
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'User is no longer an admin',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update group permission settings
+// @route   PUT /api/conversations/group/:id/settings
+// @access  Private (Admin only)
+export const updateGroupSettings = async (req, res, next) => {
+  try {
+    const conversation = await Conversation.findById(req.params.id);
+
+    if (!conversation || conversation.type !== 'group') {
+      return res.status(404).json({
+        success: false,
+        message: 'Group not found',
+      });
+    }
+
+    if (!conversation.isAdmin(req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only admins can change group settings',
+      });
+    }
+
+    const change = {};
+    for (const setting of GROUP_SETTINGS) {
+      const value = req.body[setting];
+      if (value === undefined) continue;
+
+      if (typeof value !== 'boolean') {
+        return res.status(400).json({
+          success: false,
+          message: `${setting} must be true or false`,
+        });
+      }
+      if (conversation.groupSettings[setting] !== value) {
+        change[setting] = value;
+        conversation.groupSettings[setting] = value;
+      }
+    }
+
+    if (Object.keys(change).length > 0) {
+      await postSystemMessage(conversation, req.user._id, 'group-settings-changed', { change });
+    }
+
+    const io = getIO();
+    io.to(`conversation:${conversation._id}`).emit('group-settings-updated', {
+      conversationId: conversation._id,
+      groupSettings: conversation.groupSettings,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Group settings updated successfully',
+      data: conversation.groupSettings,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get group invite link code (creates one if needed)
+// @route   GET /api/conversations/group/:id/invite
+// @access  Private (Admin only unless members can add members)
+export const getGroupInvite = async (req, res, next) => {
+  try {
+    const conversation = await Conversation.findOne({
+      _id: req.params.id,
+      type: 'group',
+      participants: req.user._id,
+    }).select('+inviteCode');
+
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Group not found',
+      });
+    }
+
+    if (!conversation.canPerform(req.user._id, 'addMembers')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only admins can share the invite link',
+      });
+    }
+
+    if (!conversation.inviteCode) {
+      conversation.resetInviteCode();
+      await conversation.save({ timestamps: false });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        inviteCode: conversation.inviteCode,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Revoke group invite link, optionally issuing a new one
+// @route   DELETE /api/conversations/group/:id/invite?reset=true
+// @access  Private (Admin only)
+export const revokeGroupInvite = async (req, res, next) => {
+  try {
+    const conversation = await Conversation.findOne({
+      _id: req.params.id,
+      type: 'group',
+    }).select('+inviteCode');
+
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Group not found',
+      });
+    }
+
+    if (!conversation.isAdmin(req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only admins can revoke the invite link',
+      });
+    }
+
+    if (req.query.reset === 'true') {
+      conversation.resetInviteCode();
+    } else {
+      conversation.inviteCode = undefined;
+    }
+    await conversation.save({ timestamps: false });
+
+    res.status(200).json({
+      success: true,
+      message: 'Invite link revoked',
+      data: {
+        inviteCode: conversation.inviteCode || null,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Preview a group from its invite code
+// @route   GET /api/conversations/invite/:code
+// @access  Private
+export const previewGroupInvite = async (req, res, next) => {
+  try {
+    const conversation = await Conversation.findOne({
+      inviteCode: req.params.code,
+      type: 'group',
+    });
+
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invite link is invalid or has been revoked',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        _id: conversation._id,
+        groupName: conversation.groupName,
+        groupAvatar: conversation.groupAvatar,
+        groupDescription: conversation.groupDescription,
+        memberCount: conversation.participants.length,
+        requiresApproval: conversation.groupSettings.approveNewMembers,
+        isMember: conversation.participants.some(
+          (p) => p.toString() === req.user._id.toString()
+        ),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Join a group with an invite code
+// @route   POST /api/conversations/invite/:code/join
+// @access  Private
+export const joinGroupByInvite = async (req, res, next) => {
+  try {
+    const conversation = await Conversation.findOne({
+      inviteCode: req.params.code,
+      type: 'group',
+    });
+
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invite link is invalid or has been revoked',
+      });
+    }
+
+    const userId = req.user._id.toString();
+
+    if (conversation.participants.some((p) => p.toString() === userId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You are already a member of this group',
+      });
+    }
+
+    const io = getIO();
+
+    // Approval mode: queue a request for the admins
+    if (conversation.groupSettings.approveNewMembers) {
+      const alreadyRequested = conversation.joinRequests.some(
+        (r) => r.user.toString() === userId
+      );
+
+      if (!alreadyRequested) {
+        conversation.joinRequests.push({ user: req.user._id });
+        await conversation.save({ timestamps: false });
+
+        io.to(conversation.groupAdmin.map((admin) => `user:${admin}`)).emit('join-request', {
+          conversationId: conversation._id,
+          user: {
+            _id: req.user._id,
+            name: req.user.name,
+            avatar: req.user.avatar,
+          },
+        });
+      }
+
+      return res.status(202).json({
+        success: true,
+        message: 'Join request sent to group admins',
+        data: {
+          status: 'pending',
+        },
+      });
+    }
+
+    conversation.addMembers([userId]);
+    joinConversationRoom([userId], conversation._id);
+    await postSystemMessage(conversation, req.user._id, 'participant-joined', {
+      change: { via: 'invite-link' },
+    });
+
+    io.to(`conversation:${conversation._id}`).emit('group-member-joined', {
+      conversationId: conversation._id,
+      userId,
+    });
+
+    await conversation.populate('participants', `name avatar isOnline lastSeen ${PRIVACY_FIELDS}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Joined group successfully',
+      data: applyParticipantPrivacy(conversation.toObject(), req.user._id),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get pending join requests
+// @route   GET /api/conversations/group/:id/requests
+// @access  Private (Admin only)
+export const getJoinRequests = async (req, res, next) => {
+  try {
+    const conversation = await Conversation.findOne({
+      _id: req.params.id,
+      type: 'group',
+    }).populate('joinRequests.user', 'name avatar about');
+
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Group not found',
+      });
+    }
+
+    if (!conversation.isAdmin(req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only admins can view join requests',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: conversation.joinRequests,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Approve or reject a pending join request (shared by the two handlers below)
+const handleJoinRequest = async (req, res, next, approve) => {
+  try {
+    const conversation = await Conversation.findOne({
+      _id: req.params.id,
+      type: 'group',
+    });
+
+    if (!conversation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Group not found',
+      });
+    }
+
+    if (!conversation.isAdmin(req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only admins can handle join requests',
+      });
+    }
+
+    const { userId } = req.params;
+    const hasRequest = conversation.joinRequests.some((r) => r.user.toString() === userId);
+
+    if (!hasRequest) {
+      return res.status(404).json({
+        success: false,
+        message: 'Join request not found',
+      });
+    }
+
+    // Someone may have added the user in the meantime
+    if (approve && conversation.isParticipant(userId)) {
+      conversation.joinRequests = conversation.joinRequests.filter(
+        (r) => r.user.toString() !== userId
+      );
+      await conversation.save({ timestamps: false });
+
+      return res.status(400).json({
+        success: false,
+        message: 'User is already a member of this group',
+      });
+    }
+
+    const io = getIO();
+
+    if (approve) {
+      conversation.addMembers([userId]);
+      joinConversationRoom([userId], conversation._id);
+      await postSystemMessage(conversation, req.user._id, 'join-request-approved', {
+        targets: [userId],
+      });
+      io.to(`conversation:${conversation._id}`).emit('group-member-joined', {
+        conversationId: conversation._id,
+        userId,
+      });
+    } else {
+      conversation.joinRequests = conversation.joinRequests.filter(
+        (r) => r.user.toString() !== userId
+      );
+      await conversation.save({ timestamps: false });
+    }
+
+    io.to(`user:${userId}`).emit(approve ? 'join-request-approved' : 'join-request-rejected', {
+      conversationId: conversation._id,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: approve ? 'Join request approved' : 'Join request rejected',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Approve a join request
+// @route   POST /api/conversations/group/:id/requests/:userId/approve
+// @access  Private (Admin only)
+export const approveJoinRequest = (req, res, next) => handleJoinRequest(req, res, next, true);
+
+// @desc    Reject a join request
+// @route   DELETE /api/conversations/group/:id/requests/:userId
+// @access  Private (Admin only)
+export const rejectJoinRequest = (req, res, next) => handleJoinRequest(req, res, next, false);
+
 // @desc    Delete conversation
 // @route   DELETE /api/conversations/:id
 // @access  Private
@@ -1,59 +1,455 @@
+import mongoose from 'mongoose';
+import fs from 'fs';
+import { v4 as uuidv4 } from 'uuid';
 import Message from '../models/Message.js';
 import Conversation from '../models/Conversation.js';
+import ScheduledMessage from '../models/ScheduledMessage.js';
 import { getIO } from '../config/socket.js';
+import {
+  sendMessageNotifications,
+  markConversationRead,
+  isUserOnline,
+} from '../socket/socketHandler.js';
+import { queueMessagePreviews } from '../jobs/mediaProcessor.js';
+import { getConversationAccess } from '../middleware/conversationAccess.js';
+import { discardUploads } from '../middleware/upload.js';
+
+const SNIPPET_RADIUS = 40;
+const MAX_SEARCH_TERMS = 10;
+
+// Encode a message position as an opaque pagination cursor
+const encodeCursor = (message) => {
+  return Buffer.from(`${message.createdAt.getTime()}:${message._id}`).toString('base64url');
+};
+
+// Decode a pagination cursor, returns null if malformed
+const decodeCursor = (cursor) => {
+  const [time, id] = Buffer.from(String(cursor), 'base64url').toString().split(':');
+  const createdAt = new Date(Number(time));
+
+  if (!id || isNaN(createdAt.getTime()) || !mongoose.isValidObjectId(id)) {
+    return null;
+  }
+
+  return { createdAt, _id: new mongoose.Types.ObjectId(id) };
+};
+
+// Build a query condition for messages older ('before') or newer ('after') than a position
+const cursorCondition = (position, direction) => {
+  const op = direction === 'before' ? '$lt' : '$gt';
+  return {
+    $or: [
+      { createdAt: { [op]: position.createdAt } },
+      { createdAt: position.createdAt, _id: { [op]: position._id } },
+    ],
+  };
+};
+
+// Fetch up to `limit` messages on one side of a position, in chronological order
+const fetchMessagePage = async (filter, position, direction, limit) => {
+  const query = position ? { $and: [filter, cursorCondition(position, direction)] } : filter;
+  const order = direction === 'before' ? -1 : 1;
+
+  // Fetch one extra to know if there are more
+  const messages = await Message.find(query)
+    .populate('sender', 'name email avatar')
+    .populate('replyTo', 'content type sender')
+    .populate('systemEvent.targets', 'name avatar')
+    .sort({ createdAt: order, _id: order })
+    .limit(limit + 1);
+
+  const hasMore = messages.length > limit;
+  const page = messages.slice(0, limit);
+
+  return {
+    messages: direction === 'before' ? page.reverse() : page,
+    hasMore,
+  };
+};
+
+// Escape user input for use in a RegExp
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Build a snippet around the first match with the match ranges inside it
+const buildSnippet = (field, text, regex) => {
+  const first = text.search(regex);
+  if (first === -1) return null;
+
+  const start = Math.max(0, first - SNIPPET_RADIUS);
+  const end = Math.min(text.length, first + SNIPPET_RADIUS * 2);
+  const prefix = start > 0 ? '…' : '';
+  const snippet = text.slice(start, end);
+
+  const highlights = [...snippet.matchAll(new RegExp(regex.source, 'gi'))].map((match) => ({
+    start: prefix.length + match.index,
+    end: prefix.length + match.index + match[0].length,
+  }));
+
+  return {
+    field,
+    text: `${prefix}${snippet}${end < text.length ? '…' : ''}`,
+    highlights,
+  };
+};
 
 // @desc    Get messages for a conversation
-// @route   GET /api/messages/:conversationId
+// @route   GET /api/messages/:conversationId?before=&after=&around=
 // @access  Private
 export const getMessages = async (req, res, next) => {
   try {
     const { conversationId } = req.params;
-    const { page = 1, limit = 50 } = req.query;
-    const skip = (page - 1) * limit;
+    const { before, after, around } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 100);
 
     // Check if user is participant
-    const conversation = await Conversation.findById(conversationId);
-    if (!conversation) {
+    const access = await getConversationAccess(
+      conversationId,
+      req.user._id,
+      'Not authorized to view these messages'
+    );
+    if (!access.conversation) {
+      return res.status(access.status).json({
+        success: false,
+        message: access.message,
+      });
+    }
+    const { conversation } = access;
+
+    // Thread replies are listed by getThread, not in the main timeline
+    const filter = {
+      conversation: conversation._id,
+      deletedFor: { $ne: req.user._id },
+      threadRoot: null,
+    };
+
+    let messages;
+    let hasMoreBefore = false;
+    let hasMoreAfter = false;
+    let thread;
+
+    if (around) {
+      // Thread replies aren't in the timeline, so jumping to one centers on its thread root
+      // and tells the client which thread to open
+      const reply = await Message.findOne({
+        conversation: conversation._id,
+        _id: around,
+        threadRoot: { $ne: null },
+        deletedFor: { $ne: req.user._id },
+      }).select('threadRoot');
+
+      if (reply) {
+        thread = { rootId: reply.threadRoot, replyId: reply._id };
+      }
+
+      // Jump to a message with surrounding context on both sides
+      const target = await Message.findOne({ ...filter, _id: reply ? reply.threadRoot : around })
+        .populate('sender', 'name email avatar')
+        .populate('replyTo', 'content type sender')
+        .populate('systemEvent.targets', 'name avatar');
+
+      if (!target) {
+        return res.status(404).json({
+          success: false,
+          message: reply ? 'Thread not found' : 'Message not found',
+        });
+      }
+
+      const half = Math.floor(limit / 2);
+      const older = await fetchMessagePage(filter, target, 'before', half);
+      const newer = await fetchMessagePage(filter, target, 'after', limit - half - 1);
+
+      messages = [...older.messages, target, ...newer.messages];
+      hasMoreBefore = older.hasMore;
+      hasMoreAfter = newer.hasMore;
+    } else {
+      const cursor = after || before;
+      const position = cursor ? decodeCursor(cursor) : null;
+
+      if (cursor && !position) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid cursor',
+        });
+      }
+
+      if (after) {
+        // Catch up on messages newer than the cursor
+        const page = await fetchMessagePage(filter, position, 'after', limit);
+        messages = page.messages;
+        hasMoreBefore = true;
+        hasMoreAfter = page.hasMore;
+      } else {
+        // Latest messages, or older history before the cursor
+        const page = await fetchMessagePage(filter, position, 'before', limit);
+        messages = page.messages;
+        hasMoreBefore = page.hasMore;
+        hasMoreAfter = !!before;
+      }
+    }
+
+    if (await conversation.hidesReadReceipts()) {
+      messages = messages.map((message) => message.withoutReadReceipts());
+    }
+
+    res.status(200).json({
+      success: true,
+      data: messages, // Chronological order
+      ...(thread && { thread }),
+      pagination: {
+        limit,
+        hasMoreBefore,
+        hasMoreAfter,
+        beforeCursor: messages.length > 0 ? encodeCursor(messages[0]) : null,
+        afterCursor: messages.length > 0 ? encodeCursor(messages[messages.length - 1]) : null,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get a message thread
+// @route   GET /api/messages/:messageId/thread
+// @access  Private
+export const getThread = async (req, res, next) => {
+  try {
+    const { after } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+
+    const message = await Message.findById(req.params.messageId);
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        message: 'Message not found',
+      });
+    }
+
+    // Check if user is participant
+    const access = await getConversationAccess(
+      message.conversation,
+      req.user._id,
+      'Not authorized to view these messages'
+    );
+    if (!access.conversation) {
+      return res.status(access.status).json({
+        success: false,
+        message: access.message,
+      });
+    }
+    const { conversation } = access;
+
+    const root = message.threadRoot
+      ? await Message.findById(message.threadRoot)
+      : message;
+
+    // The root may have been deleted or expired while replies remain
+    if (!root || root.isDeletedForEveryone) {
+      return res.status(404).json({
+        success: false,
+        message: 'Thread not found',
+      });
+    }
+
+    await root.populate('sender', 'name email avatar');
+
+    const position = after ? decodeCursor(after) : null;
+    if (after && !position) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid cursor',
+      });
+    }
+
+    const { messages: replies, hasMore } = await fetchMessagePage(
+      { threadRoot: root._id, deletedFor: { $ne: req.user._id } },
+      position,
+      'after',
+      limit
+    );
+
+    res.status(200).json({
+      success: true,
+      data: {
+        root,
+        replies,
+      },
+      pagination: {
+        limit,
+        hasMore,
+        nextCursor: hasMore ? encodeCursor(replies[replies.length - 1]) : null,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get delivery and read details for a message
+// @route   GET /api/messages/:messageId/info
+// @access  Private
+export const getMessageInfo = async (req, res, next) => {
+  try {
+    const message = await Message.findById(req.params.messageId)
+      .populate('deliveredTo.user', 'name avatar')
+      .populate('readBy.user', 'name avatar');
+
+    if (!message) {
       return res.status(404).json({
         success: false,
-        message: 'Conversation not found',
+        message: 'Message not found',
+      });
+    }
+
+    if (message.sender.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this message info',
       });
     }
 
-    const isParticipant = conversation.participants.some(
-      (p) => p.toString() === req.user._id.toString()
+    const conversation = await Conversation.findById(message.conversation).populate(
+      'participants',
+      'name avatar'
     );
 
-    if (!isParticipant) {
+    const hideReads = await conversation.hidesReadReceipts();
+    const readBy = hideReads ? [] : message.readBy.filter((r) => r.user);
+    const readIds = new Set(readBy.map((r) => r.user._id.toString()));
+
+    // Readers count as delivered even if they were never online at send time
+    // (or are shown as delivered when reads are hidden)
+    const deliveredTo = message.deliveredTo.filter(
+      (d) => d.user && !readIds.has(d.user._id.toString())
+    );
+    if (hideReads) {
+      const deliveredUserIds = new Set(deliveredTo.map((d) => d.user._id.toString()));
+      message.readBy
+        .filter((r) => r.user && !deliveredUserIds.has(r.user._id.toString()))
+        .forEach((r) => deliveredTo.push({ user: r.user, deliveredAt: r.readAt }));
+    }
+    const deliveredIds = new Set(deliveredTo.map((d) => d.user._id.toString()));
+
+    const pending = conversation.participants.filter((p) => {
+      const id = p._id.toString();
+      return (
+        id !== req.user._id.toString() && !readIds.has(id) && !deliveredIds.has(id)
+      );
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        messageId: message._id,
+        status: hideReads && message.status === 'read' ? 'delivered' : message.status,
+        sentAt: message.createdAt,
+        readBy,
+        deliveredTo,
+        pending,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Search messages across user's conversations
+// @route   GET /api/messages/search
+// @access  Private
+export const searchMessages = async (req, res, next) => {
+  try {
+    const { q, conversationId, senderId, type, from, to, cursor } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+
+    if (!q || !q.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Search query is required',
+      });
+    }
+
+    // Limit search to conversations the user participates in
+    const conversationFilter = { participants: req.user._id };
+    if (conversationId) conversationFilter._id = conversationId;
+    const conversationIds = await Conversation.find(conversationFilter).distinct('_id');
+
+    if (conversationId && conversationIds.length === 0) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to view these messages',
       });
     }
 
-    const messages = await Message.find({
-      conversation: conversationId,
-      deletedFor: { $ne: req.user._id },
-    })
+    // Whole-word search through the text index; every term must match
+    const terms = [...new Set(q.trim().toLowerCase().replace(/"/g, '').split(/\s+/))]
+      .filter(Boolean)
+      .slice(0, MAX_SEARCH_TERMS);
+
+    if (terms.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Search query is required',
+      });
+    }
+
+    const textSearch = { $search: terms.map((term) => `"${term}"`).join(' ') };
+    const regex = new RegExp(terms.map(escapeRegex).join('|'), 'i');
+    const conditions = [
+      { conversation: { $in: conversationIds } },
+      { deletedFor: { $ne: req.user._id } },
+      { isDeletedForEveryone: false },
+    ];
+
+    if (senderId) conditions.push({ sender: senderId });
+    if (type) conditions.push({ type });
+
+    if (from || to) {
+      const createdAt = {};
+      if (from) createdAt.$gte = new Date(from);
+      if (to) createdAt.$lte = new Date(to);
+
+      if (Object.values(createdAt).some((date) => isNaN(date.getTime()))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid date range',
+        });
+      }
+      conditions.push({ createdAt });
+    }
+
+    if (cursor) {
+      const position = decodeCursor(cursor);
+      if (!position) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid cursor',
+        });
+      }
+      conditions.push(cursorCondition(position, 'before'));
+    }
+
+    // Fetch one extra to know if there is a next page
+    const messages = await Message.find({ $text: textSearch, $and: conditions })
       .populate('sender', 'name email avatar')
-      .populate('replyTo', 'content type sender')
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(parseInt(limit));
+      .populate('conversation', 'type groupName groupAvatar')
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(limit + 1);
 
-    const total = await Message.countDocuments({
-      conversation: conversationId,
-      deletedFor: { $ne: req.user._id },
-    });
+    const hasMore = messages.length > limit;
+    const results = messages.slice(0, limit);
+
+    const data = results.map((message) => ({
+      message,
+      snippet: buildSnippet('content', message.content || '', regex)
+        || buildSnippet('file.originalName', message.file?.originalName || '', regex),
+    }));
 
     res.status(200).json({
       success: true,
-      data: messages.reverse(), // Return in chronological order
+      data,
       pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total,
-        pages: Math.ceil(total / limit),
+        limit,
+        hasMore,
+        nextCursor: hasMore ? encodeCursor(results[results.length - 1]) : null,
       },
     });
   } catch (error) {
@@ -61,66 +457,140 @@ export const getMessages = async (req, res, next) => {
   }
 };
 
+// Create a message and deliver it to the conversation
+// Shared by sendMessage, the socket send-message handler and the message scheduler
+// Thread replies only update the thread, not the main timeline
+export const deliverMessage = async (
+  conversation,
+  senderId,
+  { content, type = 'text', replyTo, threadRoot, scheduledMessage }
+) => {
+  const io = getIO();
+  const message = await Message.create({
+    conversation: conversation._id,
+    sender: senderId,
+    content,
+    type,
+    replyTo,
+    threadRoot: threadRoot?._id,
+    scheduledMessage,
+    expiresAt: conversation.getMessageExpiry(),
+  });
+
+  // Populate message
+  await message.populate('sender', 'name email avatar');
+  await message.populate('replyTo', 'content type sender');
+
+  if (threadRoot) {
+    const updatedRoot = await Message.recordThreadReply(threadRoot._id, message.createdAt);
+
+    io.to(`conversation:${conversation._id}`).emit('thread-updated', {
+      conversationId: conversation._id,
+      threadRootId: threadRoot._id,
+      replyCount: updatedRoot.threadReplyCount,
+      lastReplyAt: updatedRoot.threadLastReplyAt,
+      reply: message,
+    });
+    return message;
+  }
+
+  // Update conversation's last message
+  conversation.lastMessage = message._id;
+
+  // Increment unread count for other participants
+  conversation.participants.forEach((participant) => {
+    if (participant.toString() !== senderId.toString()) {
+      const currentCount = conversation.unreadCount.get(participant.toString()) || 0;
+      conversation.unreadCount.set(participant.toString(), currentCount + 1);
+    }
+  });
+
+  await conversation.save();
+
+  // Emit to socket
+  io.to(`conversation:${conversation._id}`).emit('new-message', message);
+  sendMessageNotifications(conversation, message);
+
+  // Mark as delivered for participants who are online
+  for (const participant of conversation.participants) {
+    const participantId = participant.toString();
+    if (participantId !== senderId.toString() && await isUserOnline(participantId)) {
+      message.deliveredTo.push({
+        user: participantId,
+        deliveredAt: new Date(),
+      });
+    }
+  }
+
+  if (message.deliveredTo.length > 0) {
+    message.status = 'delivered';
+    await message.save();
+    io.to(`conversation:${conversation._id}`).emit('message-status-update', {
+      messageId: message._id,
+      status: 'delivered',
+    });
+  }
+
+  return message;
+};
+
 // @desc    Send a message
 // @route   POST /api/messages/:conversationId
 // @access  Private
 export const sendMessage = async (req, res, next) => {
   try {
     const { conversationId } = req.params;
-    const { content, type = 'text', replyTo } = req.body;
+    const { content, type = 'text', replyTo, threadRoot } = req.body;
 
-    // Check conversation
-    const conversation = await Conversation.findById(conversationId);
-    if (!conversation) {
-      return res.status(404).json({
+    // Check conversation and that the user is a participant
+    const access = await getConversationAccess(
+      conversationId,
+      req.user._id,
+      'Not authorized to send message in this conversation'
+    );
+    if (!access.conversation) {
+      return res.status(access.status).json({
         success: false,
-        message: 'Conversation not found',
+        message: access.message,
       });
     }
+    const { conversation } = access;
 
-    // Check if user is participant
-    const isParticipant = conversation.participants.some(
-      (p) => p.toString() === req.user._id.toString()
-    );
-
-    if (!isParticipant) {
+    // Check the user can send here (blocks, admin-only groups)
+    const sendRestriction = await conversation.getSendRestriction(req.user._id);
+    if (sendRestriction) {
       return res.status(403).json({
         success: false,
-        message: 'Not authorized to send message in this conversation',
+        message: sendRestriction,
       });
     }
 
-    // Create message
-    const message = await Message.create({
-      conversation: conversationId,
-      sender: req.user._id,
+    if (replyTo && !(await Message.existsInConversation(replyTo, conversationId))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Replied message not found in this conversation',
+      });
+    }
+
+    // Resolve the thread when replying in one
+    let root;
+    if (threadRoot) {
+      root = await Message.findThreadRoot(threadRoot, conversationId);
+      if (!root) {
+        return res.status(404).json({
+          success: false,
+          message: 'Thread not found',
+        });
+      }
+    }
+
+    const message = await deliverMessage(conversation, req.user._id, {
       content,
       type,
       replyTo,
+      threadRoot: root,
     });
 
-    // Update conversation's last message
-    conversation.lastMessage = message._id;
-    
-    // Increment unread count for other participants
-    conversation.participants.forEach((participant) => {
-      if (participant.toString() !== req.user._id.toString()) {
-        const currentCount = conversation.unreadCount.get(participant.toString()) || 0;
-        conversation.unreadCount.set(participant.toString(), currentCount + 1);
-      }
-    });
-    
-    await conversation.save();
-
-    // Populate message
-    await message.populate('sender', 'name email avatar');
-    await message.populate('replyTo', 'content type sender');
-
-    // Emit to socket
-    const io = getIO();
-    const roomId = `conversation:${conversationId}`;
-    io.to(roomId).emit('new-message', message);
-
     res.status(201).json({
       success: true,
       data: message,
@@ -145,12 +615,36 @@ export const sendFileMessage = async (req, res, next) => {
       });
     }
 
-    // Check conversation
-    const conversation = await Conversation.findById(conversationId);
-    if (!conversation) {
-      return res.status(404).json({
+    // Check conversation and that the user is a participant
+    const access = await getConversationAccess(
+      conversationId,
+      req.user._id,
+      'Not authorized to send message in this conversation'
+    );
+    if (!access.conversation) {
+      discardUploads(req);
+      return res.status(access.status).json({
+        success: false,
+        message: access.message,
+      });
+    }
+    const { conversation } = access;
+
+    // Check the user can send here (blocks, admin-only groups)
+    const sendRestriction = await conversation.getSendRestriction(req.user._id);
+    if (sendRestriction) {
+      discardUploads(req);
+      return res.status(403).json({
+        success: false,
+        message: sendRestriction,
+      });
+    }
+
+    if (replyTo && !(await Message.existsInConversation(replyTo, conversationId))) {
+      discardUploads(req);
+      return res.status(400).json({
         success: false,
-        message: 'Conversation not found',
+        message: 'Replied message not found in this conversation',
       });
     }
 
@@ -176,6 +670,7 @@ export const sendFileMessage = async (req, res, next) => {
         mimeType: req.file.mimetype,
         size: req.file.size,
       },
+      expiresAt: conversation.getMessageExpiry(),
     });
 
     // Update conversation
@@ -188,11 +683,15 @@ export const sendFileMessage = async (req, res, next) => {
     });
     await conversation.save();
 
+    // Generate previews in the background
+    queueMessagePreviews(message, req.file.path);
+
     // Populate and emit
     await message.populate('sender', 'name email avatar');
     
     const io = getIO();
     io.to(`conversation:${conversationId}`).emit('new-message', message);
+    sendMessageNotifications(conversation, message);
 
     res.status(201).json({
       success: true,
@@ -218,12 +717,28 @@ export const sendVoiceMessage = async (req, res, next) => {
       });
     }
 
-    // Check conversation
-    const conversation = await Conversation.findById(conversationId);
-    if (!conversation) {
-      return res.status(404).json({
+    // Check conversation and that the user is a participant
+    const access = await getConversationAccess(
+      conversationId,
+      req.user._id,
+      'Not authorized to send message in this conversation'
+    );
+    if (!access.conversation) {
+      discardUploads(req);
+      return res.status(access.status).json({
+        success: false,
+        message: access.message,
+      });
+    }
+    const { conversation } = access;
+
+    // Check the user can send here (blocks, admin-only groups)
+    const sendRestriction = await conversation.getSendRestriction(req.user._id);
+    if (sendRestriction) {
+      discardUploads(req);
+      return res.status(403).json({
         success: false,
-        message: 'Conversation not found',
+        message: sendRestriction,
       });
     }
 
@@ -242,6 +757,7 @@ export const sendVoiceMessage = async (req, res, next) => {
         size: req.file.size,
         duration: parseInt(duration) || 0,
       },
+      expiresAt: conversation.getMessageExpiry(),
     });
 
     // Update conversation
@@ -258,6 +774,7 @@ export const sendVoiceMessage = async (req, res, next) => {
 
     const io = getIO();
     io.to(`conversation:${conversationId}`).emit('new-message', message);
+    sendMessageNotifications(conversation, message);
 
     res.status(201).json({
       success: true,
@@ -268,44 +785,443 @@ export const sendVoiceMessage = async (req, res, next) => {
   }
 };
 
-// @desc    Mark messages as read
-// @route   PUT /api/messages/:conversationId/read
+// @desc    Send album of images/videos
+// @route   POST /api/messages/:conversationId/album
 // @access  Private
-export const markAsRead = async (req, res, next) => {
+export const sendAlbum = async (req, res, next) => {
   try {
     const { conversationId } = req.params;
+    const { caption = '' } = req.body;
+    const files = req.files || [];
+
+    // Remove uploaded files when the album is rejected
+    const discardFiles = () => {
+      files.forEach((file) => {
+        if (fs.existsSync(file.path)) fs.unlinkSync(file.path);
+      });
+    };
 
-    // Update all unread messages in conversation
-    await Message.updateMany(
-      {
+    if (files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No files uploaded',
+      });
+    }
+
+    const isMedia = files.every(
+      (file) => file.mimetype.startsWith('image/') || file.mimetype.startsWith('video/')
+    );
+
+    if (!isMedia) {
+      discardFiles();
+      return res.status(400).json({
+        success: false,
+        message: 'Albums can only contain images and videos',
+      });
+    }
+
+    // Check conversation and that the user is a participant
+    const access = await getConversationAccess(
+      conversationId,
+      req.user._id,
+      'Not authorized to send message in this conversation'
+    );
+    if (!access.conversation) {
+      discardFiles();
+      return res.status(access.status).json({
+        success: false,
+        message: access.message,
+      });
+    }
+    const { conversation } = access;
+
+    // Check the user can send here (blocks, admin-only groups)
+    const sendRestriction = await conversation.getSendRestriction(req.user._id);
+    if (sendRestriction) {
+      discardFiles();
+      return res.status(403).json({
+        success: false,
+        message: sendRestriction,
+      });
+    }
+
+    const albumId = uuidv4();
+
+    // Create one message per file, the caption goes on the first one
+    const messages = await Message.insertMany(
+      files.map((file, index) => ({
         conversation: conversationId,
-        sender: { $ne: req.user._id },
-        status: { $ne: 'read' },
-      },
-      {
-        $set: { status: 'read' },
-        $push: {
-          readBy: {
-            user: req.user._id,
-            readAt: new Date(),
-          },
+        sender: req.user._id,
+        type: file.mimetype.startsWith('image/') ? 'image' : 'video',
+        content: index === 0 ? caption : '',
+        albumId,
+        file: {
+          url: file.path.replace(/\\/g, '/').replace('./uploads/', ''),
+          filename: file.filename,
+          originalName: file.originalname,
+          mimeType: file.mimetype,
+          size: file.size,
         },
+        expiresAt: conversation.getMessageExpiry(),
+      }))
+    );
+
+    // Update conversation
+    conversation.lastMessage = messages[messages.length - 1]._id;
+    conversation.participants.forEach((participant) => {
+      if (participant.toString() !== req.user._id.toString()) {
+        const currentCount = conversation.unreadCount.get(participant.toString()) || 0;
+        conversation.unreadCount.set(participant.toString(), currentCount + messages.length);
       }
+    });
+    await conversation.save();
+
+    // Generate previews in the background
+    messages.forEach((message, index) => queueMessagePreviews(message, files[index].path));
+
+    // Populate and emit
+    await Message.populate(messages, { path: 'sender', select: 'name email avatar' });
+
+    const io = getIO();
+    io.to(`conversation:${conversationId}`).emit('new-album', {
+      conversationId,
+      albumId,
+      messages,
+    });
+    sendMessageNotifications(conversation, messages[0]);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        albumId,
+        messages,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Forward messages to one or more conversations
+// @route   POST /api/messages/forward
+// @access  Private
+export const forwardMessages = async (req, res, next) => {
+  try {
+    const { messageIds, conversationIds } = req.body;
+
+    if (!Array.isArray(messageIds) || messageIds.length === 0
+      || !Array.isArray(conversationIds) || conversationIds.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'At least one message and one target conversation are required',
+      });
+    }
+
+    const uniqueMessageIds = [...new Set(messageIds.map(String))];
+    const uniqueConversationIds = [...new Set(conversationIds.map(String))];
+
+    // System messages (group events) only make sense in their own conversation
+    if (await Message.exists({ _id: { $in: uniqueMessageIds }, type: 'system' })) {
+      return res.status(400).json({
+        success: false,
+        message: 'System messages cannot be forwarded',
+      });
+    }
+
+    // Source messages must be visible to the user
+    const messages = await Message.find({
+      _id: { $in: uniqueMessageIds },
+      type: { $ne: 'system' },
+      deletedFor: { $ne: req.user._id },
+      isDeletedForEveryone: false,
+    })
+      .populate('conversation', 'participants')
+      .sort({ createdAt: 1 });
+
+    const canReadAll = messages.length === uniqueMessageIds.length && messages.every(
+      (m) => m.conversation?.participants.some((p) => p.toString() === req.user._id.toString())
     );
 
-    // Reset unread count
-    const conversation = await Conversation.findById(conversationId);
-    if (conversation) {
-      conversation.unreadCount.set(req.user._id.toString(), 0);
-      await conversation.save();
+    if (!canReadAll) {
+      return res.status(404).json({
+        success: false,
+        message: 'One or more messages not found',
+      });
+    }
+
+    // User must be a participant of every target conversation
+    const conversations = await Conversation.find({
+      _id: { $in: uniqueConversationIds },
+      participants: req.user._id,
+    });
+
+    if (conversations.length !== uniqueConversationIds.length) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to send message in one or more conversations',
+      });
+    }
+
+    // Check the user can send to every target (blocks, admin-only groups)
+    for (const conversation of conversations) {
+      const sendRestriction = await conversation.getSendRestriction(req.user._id);
+      if (sendRestriction) {
+        return res.status(403).json({
+          success: false,
+          message: sendRestriction,
+        });
+      }
     }
 
-    // Emit read status
     const io = getIO();
-    io.to(`conversation:${conversationId}`).emit('messages-read', {
+    const forwarded = [];
+
+    for (const conversation of conversations) {
+      // Copies share the original file on disk
+      const copies = await Message.insertMany(
+        messages.map((m) => {
+          const { type, content, file } = m.toObject();
+          return {
+            conversation: conversation._id,
+            sender: req.user._id,
+            type,
+            content,
+            file: file?.url ? file : undefined,
+            isForwarded: true,
+            expiresAt: conversation.getMessageExpiry(),
+          };
+        })
+      );
+
+      // Update conversation
+      conversation.lastMessage = copies[copies.length - 1]._id;
+      conversation.participants.forEach((participant) => {
+        if (participant.toString() !== req.user._id.toString()) {
+          const currentCount = conversation.unreadCount.get(participant.toString()) || 0;
+          conversation.unreadCount.set(participant.toString(), currentCount + copies.length);
+        }
+      });
+      await conversation.save();
+
+      await Message.populate(copies, { path: 'sender', select: 'name email avatar' });
+
+      const roomId = `conversation:${conversation._id}`;
+      copies.forEach((copy) => {
+        io.to(roomId).emit('new-message', copy);
+        sendMessageNotifications(conversation, copy);
+      });
+
+      forwarded.push(...copies);
+    }
+
+    res.status(201).json({
+      success: true,
+      data: forwarded,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Parse a scheduled send time, it must be in the future
+const parseScheduleTime = (value) => {
+  const scheduledFor = new Date(value);
+  if (!value || Number.isNaN(scheduledFor.getTime()) || scheduledFor <= new Date()) {
+    return null;
+  }
+  return scheduledFor;
+};
+
+// @desc    Schedule a message to be sent later
+// @route   POST /api/messages/:conversationId/scheduled
+// @access  Private
+export const scheduleMessage = async (req, res, next) => {
+  try {
+    const { conversationId } = req.params;
+    const { content, replyTo } = req.body;
+
+    if (!content || !content.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Message content is required',
+      });
+    }
+
+    const scheduledFor = parseScheduleTime(req.body.scheduledFor);
+    if (!scheduledFor) {
+      return res.status(400).json({
+        success: false,
+        message: 'scheduledFor must be a valid date in the future',
+      });
+    }
+
+    const access = await getConversationAccess(
       conversationId,
-      userId: req.user._id,
+      req.user._id,
+      'Not authorized to send message in this conversation'
+    );
+    if (!access.conversation) {
+      return res.status(access.status).json({
+        success: false,
+        message: access.message,
+      });
+    }
+    const { conversation } = access;
+
+    // Check the user can send here (blocks, admin-only groups)
+    const sendRestriction = await conversation.getSendRestriction(req.user._id);
+    if (sendRestriction) {
+      return res.status(403).json({
+        success: false,
+        message: sendRestriction,
+      });
+    }
+
+    if (replyTo && !(await Message.existsInConversation(replyTo, conversationId))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Replied message not found in this conversation',
+      });
+    }
+
+    const scheduled = await ScheduledMessage.create({
+      conversation: conversationId,
+      sender: req.user._id,
+      content,
+      replyTo,
+      scheduledFor,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: scheduled,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get my pending scheduled messages for a conversation
+// @route   GET /api/messages/:conversationId/scheduled
+// @access  Private
+export const getScheduledMessages = async (req, res, next) => {
+  try {
+    const scheduled = await ScheduledMessage.find({
+      conversation: req.params.conversationId,
+      sender: req.user._id,
+      status: 'pending',
+    }).sort({ scheduledFor: 1 });
+
+    res.status(200).json({
+      success: true,
+      data: scheduled,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Edit a scheduled message
+// @route   PUT /api/messages/scheduled/:scheduledId
+// @access  Private
+export const updateScheduledMessage = async (req, res, next) => {
+  try {
+    const { content, scheduledFor } = req.body;
+    const updateData = {};
+
+    if (content !== undefined) {
+      if (!content || !content.trim()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Message content is required',
+        });
+      }
+      updateData.content = content;
+    }
+
+    if (scheduledFor !== undefined) {
+      updateData.scheduledFor = parseScheduleTime(scheduledFor);
+      if (!updateData.scheduledFor) {
+        return res.status(400).json({
+          success: false,
+          message: 'scheduledFor must be a valid date in the future',
+        });
+      }
+    }
+
+    // Only pending messages can be changed, the scheduler may already be sending it
+    const scheduled = await ScheduledMessage.findOneAndUpdate(
+      { _id: req.params.scheduledId, sender: req.user._id, status: 'pending' },
+      updateData,
+      { new: true, runValidators: true }
+    );
+
+    if (!scheduled) {
+      return res.status(404).json({
+        success: false,
+        message: 'Scheduled message not found or already sent',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Scheduled message updated',
+      data: scheduled,
     });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Cancel a scheduled message
+// @route   DELETE /api/messages/scheduled/:scheduledId
+// @access  Private
+export const cancelScheduledMessage = async (req, res, next) => {
+  try {
+    const scheduled = await ScheduledMessage.findOneAndUpdate(
+      { _id: req.params.scheduledId, sender: req.user._id, status: 'pending' },
+      { status: 'cancelled' },
+      { new: true }
+    );
+
+    if (!scheduled) {
+      return res.status(404).json({
+        success: false,
+        message: 'Scheduled message not found or already sent',
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Scheduled message cancelled',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Mark messages as read
+// @route   PUT /api/messages/:conversationId/read
+// @access  Private
+export const markAsRead = async (req, res, next) => {
+  try {
+    const { conversationId } = req.params;
+
+    const access = await getConversationAccess(conversationId, req.user._id);
+    if (!access.conversation) {
+      return res.status(access.status).json({
+        success: false,
+        message: access.message,
+      });
+    }
+    const { conversation } = access;
+
+    // Record reads and emit read receipts
+    await markConversationRead(conversation, req.user._id);
+
+    // Reset unread count
+    conversation.unreadCount.set(req.user._id.toString(), 0);
+    await conversation.save();
 
     res.status(200).json({
       success: true,
@@ -316,6 +1232,88 @@ export const markAsRead = async (req, res, next) => {
   }
 };
 
+// @desc    Edit a message
+// @route   PUT /api/messages/:messageId
+// @access  Private
+export const editMessage = async (req, res, next) => {
+  try {
+    const { content } = req.body;
+
+    if (!content || !content.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Message content is required',
+      });
+    }
+
+    const message = await Message.findById(req.params.messageId);
+
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        message: 'Message not found',
+      });
+    }
+
+    // Only sender can edit
+    if (message.sender.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only sender can edit this message',
+      });
+    }
+
+    // Senders who left the conversation can no longer edit there
+    const access = await getConversationAccess(
+      message.conversation,
+      req.user._id,
+      'Not authorized to edit messages in this conversation'
+    );
+    if (!access.conversation) {
+      return res.status(access.status).json({
+        success: false,
+        message: access.message,
+      });
+    }
+
+    if (message.type !== 'text' || message.isDeletedForEveryone) {
+      return res.status(400).json({
+        success: false,
+        message: 'This message cannot be edited',
+      });
+    }
+
+    if (!message.isWithinEditWindow()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Edit time limit has expired',
+      });
+    }
+
+    if (message.content !== content) {
+      message.applyEdit(content);
+      await message.save();
+
+      // Emit to socket
+      const io = getIO();
+      io.to(`conversation:${message.conversation}`).emit('message-edited', {
+        messageId: message._id,
+        conversationId: message.conversation,
+        content: message.content,
+        isEdited: message.isEdited,
+        editedAt: message.editedAt,
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: message,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // @desc    Delete message for me
 // @route   DELETE /api/messages/:messageId
 // @access  Private
@@ -330,6 +1328,19 @@ export const deleteMessageForMe = async (req, res, next) => {
       });
     }
 
+    // Only participants can hide messages of the conversation
+    const access = await getConversationAccess(
+      message.conversation,
+      req.user._id,
+      'Not authorized to delete messages in this conversation'
+    );
+    if (!access.conversation) {
+      return res.status(access.status).json({
+        success: false,
+        message: access.message,
+      });
+    }
+
     // Add user to deletedFor array
     if (!message.deletedFor.includes(req.user._id)) {
       message.deletedFor.push(req.user._id);
@@ -359,6 +1370,14 @@ export const deleteMessageForEveryone = async (req, res, next) => {
       });
     }
 
+    // System messages record group events and stay in the timeline
+    if (message.type === 'system') {
+      return res.status(400).json({
+        success: false,
+        message: 'System messages cannot be deleted',
+      });
+    }
+
     // Only sender can delete for everyone
     if (message.sender.toString() !== req.user._id.toString()) {
       return res.status(403).json({
@@ -414,6 +1433,19 @@ export const reactToMessage = async (req, res, next) => {
       });
     }
 
+    // Only participants can react
+    const access = await getConversationAccess(
+      message.conversation,
+      req.user._id,
+      'Not authorized to react to messages in this conversation'
+    );
+    if (!access.conversation) {
+      return res.status(access.status).json({
+        success: false,
+        message: access.message,
+      });
+    }
+
     // Remove existing reaction from this user
     message.reactions = message.reactions.filter(
       (r) => r.user.toString() !== req.user._id.toString()
@@ -460,6 +1492,19 @@ export const starMessage = async (req, res, next) => {
       });
     }
 
+    // Only participants can star messages of the conversation
+    const access = await getConversationAccess(
+      message.conversation,
+      req.user._id,
+      'Not authorized to star messages in this conversation'
+    );
+    if (!access.conversation) {
+      return res.status(access.status).json({
+        success: false,
+        message: access.message,
+      });
+    }
+
     const isStarred = message.starredBy.includes(req.user._id);
 
     if (isStarred) {
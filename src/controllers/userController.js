@@ -1,6 +1,8 @@
-import User from '../models/User.js';
+import User, { PRIVACY_FIELDS, PRIVACY_OPTIONS } from '../models/User.js';
 import fs from 'fs';
 import path from 'path';
+import { queueAvatarPreviews } from '../jobs/mediaProcessor.js';
+import { getUserDevices } from '../socket/socketHandler.js';
 
 // @desc    Get all users (for search/contacts)
 // @route   GET /api/users
@@ -21,16 +23,19 @@ export const getUsers = async (req, res, next) => {
     }
 
     const users = await User.find(query)
-      .select('name email phone avatar isOnline lastSeen about')
+      .select(`name email phone avatar isOnline lastSeen about ${PRIVACY_FIELDS}`)
       .skip(skip)
       .limit(parseInt(limit))
       .sort({ name: 1 });
 
     const total = await User.countDocuments(query);
 
+    // Hide details the current user isn't allowed to see
+    const data = users.map((user) => User.applyPrivacy(user.toObject(), req.user._id));
+
     res.status(200).json({
       success: true,
-      data: users,
+      data,
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
@@ -43,13 +48,32 @@ export const getUsers = async (req, res, next) => {
   }
 };
 
+// @desc    Get current user's connected devices
+// @route   GET /api/users/devices
+// @access  Private
+export const getMyDevices = async (req, res, next) => {
+  try {
+    const devices = (await getUserDevices(req.user._id.toString())).map((device) => ({
+      ...device,
+      isCurrentSession: device.sessionId === req.session._id.toString(),
+    }));
+
+    res.status(200).json({
+      success: true,
+      data: devices,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // @desc    Get user by ID
 // @route   GET /api/users/:id
 // @access  Private
 export const getUserById = async (req, res, next) => {
   try {
     const user = await User.findById(req.params.id).select(
-      'name email phone avatar isOnline lastSeen about createdAt'
+      `name email phone avatar avatarThumbnail avatarPlaceholder isOnline lastSeen about createdAt ${PRIVACY_FIELDS}`
     );
 
     if (!user) {
@@ -59,9 +83,10 @@ export const getUserById = async (req, res, next) => {
       });
     }
 
+    // Hide details the current user isn't allowed to see
     res.status(200).json({
       success: true,
-      data: user,
+      data: User.applyPrivacy(user.toObject(), req.user._id),
     });
   } catch (error) {
     next(error);
@@ -95,6 +120,51 @@ export const updateProfile = async (req, res, next) => {
   }
 };
 
+// @desc    Update privacy settings
+// @route   PUT /api/users/privacy
+// @access  Private
+export const updatePrivacy = async (req, res, next) => {
+  try {
+    const updateData = {};
+
+    for (const setting of ['lastSeen', 'online', 'profilePhoto']) {
+      const value = req.body[setting];
+      if (value === undefined) continue;
+
+      if (!PRIVACY_OPTIONS.includes(value)) {
+        return res.status(400).json({
+          success: false,
+          message: `${setting} must be one of: ${PRIVACY_OPTIONS.join(', ')}`,
+        });
+      }
+      updateData[`privacy.${setting}`] = value;
+    }
+
+    if (req.body.readReceipts !== undefined) {
+      if (typeof req.body.readReceipts !== 'boolean') {
+        return res.status(400).json({
+          success: false,
+          message: 'readReceipts must be true or false',
+        });
+      }
+      updateData['privacy.readReceipts'] = req.body.readReceipts;
+    }
+
+    const user = await User.findByIdAndUpdate(req.user._id, updateData, {
+      new: true,
+      runValidators: true,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Privacy settings updated successfully',
+      data: user.privacy,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // @desc    Update user avatar
 // @route   PUT /api/users/avatar
 // @access  Private
@@ -110,22 +180,26 @@ export const updateAvatar = async (req, res, next) => {
     // Get old avatar to delete
     const oldUser = await User.findById(req.user._id);
     
-    // Delete old avatar if exists
-    if (oldUser.avatar) {
-      const oldPath = path.join('./uploads', oldUser.avatar);
+    // Delete old avatar and its thumbnail if exists
+    [oldUser.avatar, oldUser.avatarThumbnail].forEach((file) => {
+      if (!file) return;
+      const oldPath = path.join('./uploads', file);
       if (fs.existsSync(oldPath)) {
         fs.unlinkSync(oldPath);
       }
-    }
+    });
 
     // Update with new avatar
     const avatarPath = `avatars/${req.file.filename}`;
     const user = await User.findByIdAndUpdate(
       req.user._id,
-      { avatar: avatarPath },
+      { avatar: avatarPath, avatarThumbnail: '', avatarPlaceholder: '' },
       { new: true }
     );
 
+    // Generate previews in the background
+    queueAvatarPreviews(req.user._id, req.file.path);
+
     res.status(200).json({
       success: true,
       message: 'Avatar updated successfully',
@@ -167,13 +241,13 @@ export const addContact = async (req, res, next) => {
 
     const updatedUser = await User.findById(req.user._id).populate(
       'contacts',
-      'name avatar isOnline lastSeen about'
+      `name avatar isOnline lastSeen about ${PRIVACY_FIELDS}`
     );
 
     res.status(200).json({
       success: true,
       message: 'Contact added successfully',
-      data: updatedUser.contacts,
+      data: updatedUser.contacts.map((contact) => User.applyPrivacy(contact.toObject(), req.user._id)),
     });
   } catch (error) {
     next(error);
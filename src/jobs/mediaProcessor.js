@@ -0,0 +1,113 @@
+import sharp from 'sharp';
+import path from 'path';
+import fs from 'fs';
+import Message from '../models/Message.js';
+import User from '../models/User.js';
+import { getIO } from '../config/socket.js';
+
+const THUMBNAIL_DIR = './uploads/thumbnails';
+const THUMBNAIL_SIZE = 320;
+const PLACEHOLDER_SIZE = 16;
+
+// Pending jobs, processed one at a time so uploads don't compete for CPU
+const queue = [];
+let processing = false;
+
+const processQueue = async () => {
+  if (processing) return;
+  processing = true;
+
+  while (queue.length > 0) {
+    const job = queue.shift();
+    try {
+      await job();
+    } catch (error) {
+      console.error('Error processing media:', error);
+    }
+  }
+
+  processing = false;
+};
+
+const enqueue = (job) => {
+  queue.push(job);
+  setImmediate(processQueue);
+};
+
+// Create a downscaled thumbnail file and a tiny blurred placeholder (data URI) for an image
+const generatePreviews = async (sourcePath) => {
+  if (!fs.existsSync(THUMBNAIL_DIR)) {
+    fs.mkdirSync(THUMBNAIL_DIR, { recursive: true });
+  }
+
+  const name = `${path.parse(sourcePath).name}.webp`;
+  const thumbnailPath = path.join(THUMBNAIL_DIR, name);
+
+  await sharp(sourcePath)
+    .rotate()
+    .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+    .webp({ quality: 70 })
+    .toFile(thumbnailPath);
+
+  const placeholder = await sharp(sourcePath)
+    .rotate()
+    .resize(PLACEHOLDER_SIZE, PLACEHOLDER_SIZE, { fit: 'inside' })
+    .blur()
+    .webp({ quality: 40 })
+    .toBuffer();
+
+  return {
+    name,
+    thumbnailPath,
+    placeholder: `data:image/webp;base64,${placeholder.toString('base64')}`,
+  };
+};
+
+// Queue preview generation for an image message, clients are notified when it's ready
+export const queueMessagePreviews = (message, sourcePath) => {
+  if (message.type !== 'image') return;
+
+  enqueue(async () => {
+    const { thumbnailPath, placeholder } = await generatePreviews(sourcePath);
+    const thumbnail = thumbnailPath.replace(/\\/g, '/').replace('./uploads/', '');
+
+    const updated = await Message.findOneAndUpdate(
+      { _id: message._id, isDeletedForEveryone: false },
+      { 'file.thumbnail': thumbnail, 'file.placeholder': placeholder },
+      { new: true, timestamps: false }
+    );
+
+    // Message was deleted while processing
+    if (!updated) {
+      fs.unlinkSync(thumbnailPath);
+      return;
+    }
+
+    const io = getIO();
+    io.to(`conversation:${updated.conversation}`).emit('message-preview-ready', {
+      messageId: updated._id,
+      conversationId: updated.conversation,
+      thumbnail,
+      placeholder,
+    });
+  });
+};
+
+// Queue preview generation for a user's avatar
+export const queueAvatarPreviews = (userId, sourcePath) => {
+  enqueue(async () => {
+    const { name, thumbnailPath, placeholder } = await generatePreviews(sourcePath);
+    const avatarThumbnail = `thumbnails/${name}`;
+
+    // Avatar was replaced again while processing
+    const updated = await User.findOneAndUpdate(
+      { _id: userId, avatar: `avatars/${path.basename(sourcePath)}` },
+      { avatarThumbnail, avatarPlaceholder: placeholder },
+      { new: true }
+    );
+
+    if (!updated) {
+      fs.unlinkSync(thumbnailPath);
+    }
+  });
+};
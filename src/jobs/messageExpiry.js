@@ -0,0 +1,117 @@
+import path from 'path';
+import fs from 'fs';
+import Message from '../models/Message.js';
+import Conversation from '../models/Conversation.js';
+import { getIO } from '../config/socket.js';
+
+// Number of expired messages removed per batch
+const BATCH_SIZE = 500;
+
+let timer = null;
+let sweeping = false;
+
+// Message file URLs are stored relative to the project root ("uploads/images/...")
+const resolveUploadPath = (url) =>
+  url.startsWith('uploads/') ? url : path.join('./uploads', url);
+
+// Delete files on disk that no remaining message still uses (forwarded copies share files)
+const deleteUnusedFiles = async (expired, expiredIds) => {
+  const urls = [
+    ...new Set(
+      expired.flatMap((m) => [m.file?.url, m.file?.thumbnail]).filter(Boolean)
+    ),
+  ];
+  if (urls.length === 0) return;
+
+  const stillUsed = new Set([
+    ...(await Message.find({ _id: { $nin: expiredIds }, 'file.url': { $in: urls } }).distinct('file.url')),
+    ...(await Message.find({ _id: { $nin: expiredIds }, 'file.thumbnail': { $in: urls } }).distinct('file.thumbnail')),
+  ]);
+
+  urls
+    .filter((url) => !stillUsed.has(url))
+    .forEach((url) => {
+      const filePath = resolveUploadPath(url);
+      if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+    });
+};
+
+// Remove one batch of expired messages, returns how many expired messages were found
+// Replies in the thread of an expired message are removed with it so no thread is left without its root
+const removeExpiredBatch = async () => {
+  const due = await Message.find({ expiresAt: { $lte: new Date() } })
+    .select('_id conversation file')
+    .limit(BATCH_SIZE);
+
+  if (due.length === 0) return 0;
+
+  const replies = await Message.find({
+    threadRoot: { $in: due.map((m) => m._id) },
+    _id: { $nin: due.map((m) => m._id) },
+  }).select('_id conversation file');
+
+  const expired = [...due, ...replies];
+  const expiredIds = expired.map((m) => m._id);
+  await deleteUnusedFiles(expired, expiredIds);
+  await Message.deleteMany({ _id: { $in: expiredIds } });
+
+  // Group by conversation to notify each room once
+  const byConversation = new Map();
+  expired.forEach((m) => {
+    const conversationId = m.conversation.toString();
+    if (!byConversation.has(conversationId)) byConversation.set(conversationId, []);
+    byConversation.get(conversationId).push(m._id);
+  });
+
+  const io = getIO();
+
+  for (const [conversationId, messageIds] of byConversation) {
+    // Point the chat list at the latest remaining message
+    const conversation = await Conversation.findOne({
+      _id: conversationId,
+      lastMessage: { $in: messageIds },
+    });
+
+    if (conversation) {
+      const latest = await Message.findOne({ conversation: conversationId, threadRoot: null })
+        .sort({ createdAt: -1, _id: -1 })
+        .select('_id');
+      conversation.lastMessage = latest?._id;
+      await conversation.save({ timestamps: false });
+    }
+
+    io.to(`conversation:${conversationId}`).emit('messages-expired', {
+      conversationId,
+      messageIds,
+    });
+  }
+
+  return due.length;
+};
+
+// Remove disappearing messages whose expiry has passed
+// Keeps going batch by batch until the backlog (e.g. after downtime) is cleared
+export const sweepExpiredMessages = async () => {
+  if (sweeping) return;
+  sweeping = true;
+
+  try {
+    let found;
+    do {
+      found = await removeExpiredBatch();
+    } while (found === BATCH_SIZE);
+  } catch (error) {
+    console.error('Error removing expired messages:', error);
+  } finally {
+    sweeping = false;
+  }
+};
+
+// Start checking for expired messages in the background
+export const startMessageExpiryJob = () => {
+  if (timer) return;
+
+  const interval = (parseInt(process.env.MESSAGE_EXPIRY_INTERVAL_SECONDS) || 60) * 1000;
+  timer = setInterval(sweepExpiredMessages, interval);
+  timer.unref();
+};
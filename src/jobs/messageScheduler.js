@@ -0,0 +1,116 @@
+import ScheduledMessage from '../models/ScheduledMessage.js';
+import Message from '../models/Message.js';
+import Conversation from '../models/Conversation.js';
+import { deliverMessage } from '../controllers/messageController.js';
+import { getIO } from '../config/socket.js';
+
+// Messages stuck in 'sending' this long (e.g. the server stopped mid-send) are retried
+// Retrying is safe: a scheduled message can only ever create one message
+const STALE_SENDING_MS = 5 * 60 * 1000;
+
+let timer = null;
+let running = false;
+
+// Send the message for a scheduled message, at most once
+// If another attempt is sending it at the same time, returns the message that attempt created
+const deliverOnce = async (conversation, scheduled) => {
+  try {
+    return await deliverMessage(conversation, scheduled.sender, {
+      content: scheduled.content,
+      replyTo: scheduled.replyTo,
+      scheduledMessage: scheduled._id,
+    });
+  } catch (error) {
+    // Another attempt inserted it first
+    if (error.code === 11000) {
+      return Message.findOne({ scheduledMessage: scheduled._id });
+    }
+    throw error;
+  }
+};
+
+// Send one claimed message through the normal delivery path
+const sendScheduledMessage = async (scheduled) => {
+  const io = getIO();
+
+  // An earlier attempt that was slow or interrupted may already have sent it
+  let message = await Message.findOne({ scheduledMessage: scheduled._id })
+    .populate('sender', 'name email avatar');
+
+  if (!message) {
+    const conversation = await Conversation.findOne({
+      _id: scheduled.conversation,
+      participants: scheduled.sender,
+    });
+
+    const failureReason = !conversation
+      ? 'You are no longer a participant in this conversation'
+      : await conversation.getSendRestriction(scheduled.sender);
+
+    if (failureReason) {
+      scheduled.status = 'failed';
+      scheduled.failureReason = failureReason;
+      await scheduled.save();
+
+      io.to(`user:${scheduled.sender}`).emit('scheduled-message-failed', {
+        scheduledId: scheduled._id,
+        conversationId: scheduled.conversation,
+        reason: failureReason,
+      });
+      return;
+    }
+
+    message = await deliverOnce(conversation, scheduled);
+  }
+
+  scheduled.status = 'sent';
+  scheduled.message = message._id;
+  scheduled.sentAt = new Date();
+  await scheduled.save();
+
+  io.to(`user:${scheduled.sender}`).emit('scheduled-message-sent', {
+    scheduledId: scheduled._id,
+    conversationId: scheduled.conversation,
+    message,
+  });
+};
+
+// Send every scheduled message that is due
+export const sendDueMessages = async () => {
+  if (running) return;
+  running = true;
+
+  try {
+    await ScheduledMessage.updateMany(
+      { status: 'sending', updatedAt: { $lte: new Date(Date.now() - STALE_SENDING_MS) } },
+      { status: 'pending' }
+    );
+
+    let scheduled;
+    while ((scheduled = await ScheduledMessage.claimDue())) {
+      try {
+        await sendScheduledMessage(scheduled);
+      } catch (error) {
+        console.error('Error sending scheduled message:', error);
+        await ScheduledMessage.updateOne(
+          { _id: scheduled._id },
+          { status: 'failed', failureReason: 'Failed to send message' }
+        );
+      }
+    }
+  } catch (error) {
+    console.error('Error processing scheduled messages:', error);
+  } finally {
+    running = false;
+  }
+};
+
+// Start delivering scheduled messages in the background
+// Pending messages are stored in MongoDB, so anything due while the server was down is sent on start
+export const startMessageScheduler = () => {
+  if (timer) return;
+
+  const interval = (parseInt(process.env.SCHEDULED_MESSAGE_INTERVAL_SECONDS) || 15) * 1000;
+  timer = setInterval(sendDueMessages, interval);
+  timer.unref();
+};
@@ -0,0 +1,37 @@
+import { getStateStore } from '../config/stateStore.js';
+import { markUserOffline } from '../socket/socketHandler.js';
+
+// Well within the instance TTL in config/stateStore.js, so a live instance never expires
+const HEARTBEAT_INTERVAL = 10 * 1000;
+
+let timer = null;
+let running = false;
+
+// Keep this instance marked alive and clean up after instances that died without
+// disconnecting their sockets, so their users don't stay online forever
+export const sendHeartbeat = async () => {
+  if (running) return;
+  running = true;
+
+  try {
+    const store = getStateStore();
+    await store.registerInstance();
+
+    const offlineUserIds = await store.removeDeadInstances();
+    for (const userId of offlineUserIds) {
+      await markUserOffline(userId);
+    }
+  } catch (error) {
+    console.error('Error sending presence heartbeat:', error);
+  } finally {
+    running = false;
+  }
+};
+
+// Start the presence heartbeat in the background
+export const startPresenceHeartbeat = () => {
+  if (timer) return;
+
+  timer = setInterval(sendHeartbeat, HEARTBEAT_INTERVAL);
+  timer.unref();
+};
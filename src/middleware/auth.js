@@ -1,5 +1,8 @@
 import jwt from 'jsonwebtoken';
+import crypto from 'crypto';
+import mongoose from 'mongoose';
 import User from '../models/User.js';
+import Session from '../models/Session.js';
 
 export const protect = async (req, res, next) => {
   try {
@@ -21,6 +24,16 @@ export const protect = async (req, res, next) => {
       // Verify token
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+      // Check the session hasn't been revoked
+      const session = await Session.findActive(decoded.sid);
+
+      if (!session) {
+        return res.status(401).json({
+          success: false,
+          message: 'Session has been revoked',
+        });
+      }
+
       // Get user from token
       const user = await User.findById(decoded.id);
 
@@ -32,6 +45,7 @@ export const protect = async (req, res, next) => {
       }
 
       req.user = user;
+      req.session = session;
       next();
     } catch (error) {
       return res.status(401).json({
@@ -54,6 +68,12 @@ export const socketAuth = async (socket, next) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    const session = await Session.findActive(decoded.sid);
+    if (!session) {
+      return next(new Error('Session has been revoked'));
+    }
+
     const user = await User.findById(decoded.id);
 
     if (!user) {
@@ -61,16 +81,42 @@ export const socketAuth = async (socket, next) => {
     }
 
     socket.user = user;
+    socket.sessionId = session._id.toString();
     next();
   } catch (error) {
     next(new Error('Authentication error'));
   }
 };
 
-// Generate JWT Token
-export const generateToken = (userId) => {
-  return jwt.sign({ id: userId }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN || '7d',
+// Generate short-lived JWT access token bound to a session
+export const generateToken = (userId, sessionId) => {
+  return jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_ACCESS_EXPIRES_IN || '15m',
   });
 };
 
+// Generate a refresh token for a session ("<sessionId>.<secret>")
+export const generateRefreshToken = (sessionId) => {
+  return `${sessionId}.${crypto.randomBytes(40).toString('hex')}`;
+};
+
+// Create a new session for a login and issue its access/refresh tokens
+export const createSession = async (userId, req) => {
+  const refreshDays = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+  const sessionId = new mongoose.Types.ObjectId();
+  const refreshToken = generateRefreshToken(sessionId);
+
+  await Session.create({
+    _id: sessionId,
+    user: userId,
+    refreshTokenHash: Session.hashToken(refreshToken),
+    userAgent: req.headers['user-agent'] || '',
+    ipAddress: req.ip || '',
+    expiresAt: new Date(Date.now() + refreshDays * 24 * 60 * 60 * 1000),
+  });
+
+  return {
+    token: generateToken(userId, sessionId),
+    refreshToken,
+  };
+};
@@ -0,0 +1,22 @@
+import Conversation from '../models/Conversation.js';
+
+// Load a conversation on behalf of a user, checking they take part in it
+// Shared by the REST controllers and the socket handlers so both enforce the same rule
+// Returns { conversation }, or { status, message } when access is denied
+export const getConversationAccess = async (
+  conversationId,
+  userId,
+  deniedMessage = 'Not authorized to access this conversation'
+) => {
+  const conversation = await Conversation.findById(conversationId);
+
+  if (!conversation) {
+    return { status: 404, message: 'Conversation not found' };
+  }
+
+  if (!conversation.isParticipant(userId)) {
+    return { status: 403, message: deniedMessage };
+  }
+
+  return { conversation };
+};
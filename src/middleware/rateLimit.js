@@ -0,0 +1,116 @@
+import { getStateStore } from '../config/stateStore.js';
+import { getRateLimit, getLoginLockout } from '../config/rateLimits.js';
+import { getPacketCallback } from '../socket/ack.js';
+
+// Count a hit against each budget that applies (per user and/or per IP)
+// Returns the seconds until the caller may retry, or 0 if within budget
+const consume = async (action, { userId, ip }) => {
+  const store = getStateStore();
+  const { windowMs, perUser, perIp } = getRateLimit(action);
+
+  const budgets = [
+    userId && perUser && { key: `${action}:user:${userId}`, max: perUser },
+    ip && perIp && { key: `${action}:ip:${ip}`, max: perIp },
+  ].filter(Boolean);
+
+  let retryAfter = 0;
+  for (const { key, max } of budgets) {
+    const { count, resetAt } = await store.incrementCounter(`rate:${key}`, windowMs);
+    if (count > max) {
+      retryAfter = Math.max(retryAfter, Math.ceil((resetAt - Date.now()) / 1000));
+    }
+  }
+
+  return retryAfter;
+};
+
+// Send a 429 with a Retry-After header (seconds)
+export const sendTooManyRequests = (res, retryAfter, message = 'Too many requests, please try again later') => {
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    success: false,
+    message,
+    retryAfter,
+  });
+};
+
+// Express middleware limiting an action per user (when authenticated) and per IP
+export const rateLimit = (action) => async (req, res, next) => {
+  try {
+    const retryAfter = await consume(action, { userId: req.user?._id, ip: req.ip });
+    if (retryAfter > 0) {
+      return sendTooManyRequests(res, retryAfter);
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Client address of a socket; behind a trusted proxy (TRUST_PROXY=true) the handshake
+// address is the proxy's, so take the originating client from X-Forwarded-For like Express does
+const getSocketIp = (socket) => {
+  const forwardedFor = socket.handshake.headers['x-forwarded-for'];
+  if (process.env.TRUST_PROXY === 'true' && forwardedFor) {
+    return forwardedFor.split(',')[0].trim();
+  }
+  return socket.handshake.address;
+};
+
+// Socket.IO middleware limiting events, given a map of event name -> rate limit action
+// Events over budget are dropped and the client is told through the emit's acknowledgement
+// callback, or a 'rate-limited' event if it didn't pass one
+export const rateLimitSocketEvents = (socket, eventLimits) => {
+  socket.use(async (packet, next) => {
+    const [event] = packet;
+    const action = eventLimits[event];
+    if (!action) return next();
+
+    try {
+      const retryAfter = await consume(action, {
+        userId: socket.user._id,
+        ip: getSocketIp(socket),
+      });
+
+      if (retryAfter > 0) {
+        const message = 'Too many requests, please try again later';
+        const callback = getPacketCallback(packet);
+
+        if (callback) {
+          callback({ success: false, message, retryAfter });
+        } else {
+          socket.emit('rate-limited', { event, message, retryAfter });
+        }
+        return;
+      }
+      next();
+    } catch (error) {
+      console.error('Error checking rate limit:', error);
+      next();
+    }
+  });
+};
+
+// ============ LOGIN LOCKOUT ============
+
+// Failures are counted per account and client IP, so guessing from one address
+// can't lock the owner out everywhere else
+const loginFailureKey = (email, ip) => `login-failures:${String(email).toLowerCase()}:${ip}`;
+
+// Get the seconds an account is still locked for this IP after repeated failed logins, or 0
+export const getLoginLockSeconds = async (email, ip) => {
+  const { maxFailures } = getLoginLockout();
+  const failures = await getStateStore().getCounter(loginFailureKey(email, ip));
+
+  if (!failures || failures.count < maxFailures) return 0;
+  return Math.ceil((failures.resetAt - Date.now()) / 1000);
+};
+
+export const recordLoginFailure = (email, ip) => {
+  const { windowMs } = getLoginLockout();
+  return getStateStore().incrementCounter(loginFailureKey(email, ip), windowMs);
+};
+
+export const clearLoginFailures = (email, ip) => {
+  return getStateStore().resetCounter(loginFailureKey(email, ip));
+};
@@ -89,5 +89,13 @@ export const uploadAvatar = upload.single('avatar');
 export const uploadVoice = upload.single('voice');
 export const uploadMultiple = upload.array('files', 10);
 
+// Delete files multer already wrote for a request that is being rejected
+export const discardUploads = (req) => {
+  const files = req.files || (req.file ? [req.file] : []);
+  files.forEach((file) => {
+    if (fs.existsSync(file.path)) fs.unlinkSync(file.path);
+  });
+};
+
 export default upload;
 
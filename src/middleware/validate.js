@@ -0,0 +1,146 @@
+import validator from 'validator';
+import { createAck, getPacketCallback } from '../socket/ack.js';
+import { discardUploads } from './upload.js';
+
+// Declarative request validation
+// A schema maps each request part (params, query, body) to field rules:
+//   { type, required, enum, min, max, minLength, maxLength, notEmpty, items, minItems, maxItems }
+// Types: string, number, boolean, objectId, date, email, array, object
+
+const OBJECT_ID_PATTERN = /^[a-f\d]{24}$/i;
+
+// Values in params/query (and multipart bodies) always arrive as strings
+const toNumber = (value) => (typeof value === 'string' && value.trim() !== '' ? Number(value) : value);
+const toBoolean = (value) => (value === 'true' ? true : value === 'false' ? false : value);
+
+const TYPE_CHECKS = {
+  string: (value) => typeof value === 'string',
+  number: (value) => typeof toNumber(value) === 'number' && Number.isFinite(toNumber(value)),
+  boolean: (value, fromString) => typeof (fromString ? toBoolean(value) : value) === 'boolean',
+  objectId: (value) => typeof value === 'string' && OBJECT_ID_PATTERN.test(value),
+  date: (value) =>
+    (typeof value === 'string' || typeof value === 'number') && !Number.isNaN(new Date(value).getTime()),
+  email: (value) => typeof value === 'string' && validator.isEmail(value),
+  array: (value) => Array.isArray(value),
+  object: (value) => typeof value === 'object' && value !== null && !Array.isArray(value),
+};
+
+const TYPE_NAMES = {
+  objectId: 'a valid ID',
+  date: 'a valid date',
+  email: 'a valid email address',
+  array: 'an array',
+  object: 'an object',
+};
+
+// Check one value against its rule, returning an error message or null
+const checkField = (value, rule, field, fromString) => {
+  const isMissing = value === undefined || value === null || value === '';
+
+  if (isMissing) {
+    return rule.required ? `${field} is required` : null;
+  }
+
+  if (!TYPE_CHECKS[rule.type](value, fromString)) {
+    return `${field} must be ${TYPE_NAMES[rule.type] || `a ${rule.type}`}`;
+  }
+
+  if (rule.type === 'string') {
+    if (rule.notEmpty && !value.trim()) return `${field} cannot be empty`;
+    if (rule.minLength && value.length < rule.minLength) {
+      return `${field} must be at least ${rule.minLength} characters`;
+    }
+    if (rule.maxLength && value.length > rule.maxLength) {
+      return `${field} cannot exceed ${rule.maxLength} characters`;
+    }
+  }
+
+  if (rule.type === 'number') {
+    const number = toNumber(value);
+    if (rule.min !== undefined && number < rule.min) return `${field} must be at least ${rule.min}`;
+    if (rule.max !== undefined && number > rule.max) return `${field} cannot exceed ${rule.max}`;
+  }
+
+  if (rule.enum && !rule.enum.includes(value)) {
+    return `${field} must be one of: ${rule.enum.join(', ')}`;
+  }
+
+  if (rule.type === 'array') {
+    if (rule.minItems && value.length < rule.minItems) {
+      return `${field} must contain at least ${rule.minItems} item(s)`;
+    }
+    if (rule.maxItems && value.length > rule.maxItems) {
+      return `${field} cannot contain more than ${rule.maxItems} items`;
+    }
+    if (rule.items) {
+      for (let i = 0; i < value.length; i++) {
+        const error = checkField(value[i], { ...rule.items, required: true }, `${field}[${i}]`, false);
+        if (error) return error;
+      }
+    }
+  }
+
+  return null;
+};
+
+// Validate an object against field rules, returning [{ field, message }]
+export const checkSchema = (rules, data, { fromString = false } = {}) => {
+  const source = data || {};
+
+  return Object.entries(rules).reduce((errors, [field, rule]) => {
+    const message = checkField(source[field], rule, field, fromString);
+    if (message) errors.push({ field, message });
+    return errors;
+  }, []);
+};
+
+// Express middleware validating req.params, req.query and req.body
+// Files already uploaded for a rejected request are deleted
+export const validate = (schema) => (req, res, next) => {
+  const errors = ['params', 'query', 'body'].flatMap((location) =>
+    schema[location]
+      ? checkSchema(schema[location], req[location], { fromString: location !== 'body' })
+          .map((error) => ({ ...error, location }))
+      : []
+  );
+
+  if (errors.length > 0) {
+    discardUploads(req);
+    return res.status(400).json({
+      success: false,
+      message: errors[0].message,
+      errors,
+    });
+  }
+
+  next();
+};
+
+// Socket.IO middleware validating event payloads against a map of event name -> field rules
+// Invalid events are dropped and the client gets the field details through the emit's
+// acknowledgement callback, or an 'error' event if it didn't pass one
+// Events whose fields are all optional may be emitted without a payload, handlers then get {}
+export const validateSocketEvents = (socket, eventSchemas) => {
+  socket.use((packet, next) => {
+    const event = packet[0];
+    const rules = eventSchemas[event];
+    if (!rules) return next();
+
+    const hasPayload = packet.length > 1 && typeof packet[1] !== 'function';
+    if (!hasPayload && Object.values(rules).every((rule) => !rule.required)) {
+      packet.splice(1, 0, {});
+    }
+    const payload = packet[1];
+
+    const errors = TYPE_CHECKS.object(payload)
+      ? checkSchema(rules, payload)
+      : [{ field: 'payload', message: 'Event payload must be an object' }];
+
+    if (errors.length > 0) {
+      createAck(socket, event, getPacketCallback(packet)).error(errors[0].message, { errors });
+      return;
+    }
+
+    next();
+  });
+};
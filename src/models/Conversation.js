@@ -1,4 +1,22 @@
 import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+// Group actions that can be limited to admins, and the setting that controls each
+const ADMIN_ONLY_ACTIONS = {
+  sendMessages: 'onlyAdminsCanSendMessages',
+  editInfo: 'onlyAdminsCanEditInfo',
+  addMembers: 'onlyAdminsCanAddMembers',
+};
+
+export const GROUP_SETTINGS = [...Object.values(ADMIN_ONLY_ACTIONS), 'approveNewMembers'];
+
+// Supported disappearing message timers (null turns them off)
+export const DISAPPEARING_DURATIONS = {
+  '24h': 24 * 60 * 60 * 1000,
+  '7d': 7 * 24 * 60 * 60 * 1000,
+  '90d': 90 * 24 * 60 * 60 * 1000,
+  off: null,
+};
 
 const conversationSchema = new mongoose.Schema(
   {
@@ -34,10 +52,51 @@ const conversationSchema = new mongoose.Schema(
         ref: 'User',
       },
     ],
+    // Group owner, ownership moves to another member when they leave
     createdBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
     },
+    // Group permission settings
+    groupSettings: {
+      onlyAdminsCanSendMessages: {
+        type: Boolean,
+        default: false,
+      },
+      onlyAdminsCanEditInfo: {
+        type: Boolean,
+        default: true,
+      },
+      onlyAdminsCanAddMembers: {
+        type: Boolean,
+        default: true,
+      },
+      // People joining via invite link wait for an admin to approve them
+      approveNewMembers: {
+        type: Boolean,
+        default: false,
+      },
+    },
+    // Invite link code (unset when the link is revoked)
+    inviteCode: {
+      type: String,
+      unique: true,
+      sparse: true,
+      select: false,
+    },
+    // Pending join requests from the invite link
+    joinRequests: [
+      {
+        user: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+        },
+        requestedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
     // Last message reference for chat list
     lastMessage: {
       type: mongoose.Schema.Types.ObjectId,
@@ -66,6 +125,11 @@ const conversationSchema = new mongoose.Schema(
         until: Date,
       },
     ],
+    // Disappearing messages timer in milliseconds (null means off)
+    disappearingDuration: {
+      type: Number,
+      default: null,
+    },
   },
   {
     timestamps: true,
@@ -94,6 +158,104 @@ conversationSchema.statics.findOrCreatePrivate = async function (user1Id, user2I
   return conversation;
 };
 
+// Get the active mute entry for a user (until unset means muted forever)
+conversationSchema.methods.getMuteFor = function (userId) {
+  return this.mutedBy.find(
+    (m) => m.user.toString() === userId.toString() && (!m.until || m.until > new Date())
+  );
+};
+
+// Static method to drop mutes whose expiry has passed
+conversationSchema.statics.clearExpiredMutes = function (filter = {}) {
+  return this.updateMany(
+    { ...filter, 'mutedBy.until': { $lte: new Date() } },
+    { $pull: { mutedBy: { until: { $lte: new Date() } } } },
+    { timestamps: false }
+  );
+};
+
+// Get the expiry for a message sent now, based on the disappearing messages timer
+conversationSchema.methods.getMessageExpiry = function () {
+  return this.disappearingDuration
+    ? new Date(Date.now() + this.disappearingDuration)
+    : null;
+};
+
+// Check if a user takes part in the conversation
+conversationSchema.methods.isParticipant = function (userId) {
+  return this.participants.some((p) => (p._id || p).toString() === userId.toString());
+};
+
+// Add users who aren't participants yet and clear any join requests they had pending
+// Returns the IDs that were actually added
+conversationSchema.methods.addMembers = function (userIds) {
+  const ids = [...new Set(userIds.map(String))];
+  const added = ids.filter((id) => !this.isParticipant(id));
+
+  this.participants.push(...added);
+  this.joinRequests = this.joinRequests.filter((r) => !ids.includes(r.user.toString()));
+  return added;
+};
+
+// Remove a user from the participants and admins, dropping their pin and mute
+// so they don't count against the user's pin limit after leaving
+conversationSchema.methods.removeMember = function (userId) {
+  const id = userId.toString();
+  this.participants = this.participants.filter((p) => p.toString() !== id);
+  this.groupAdmin = this.groupAdmin.filter((admin) => admin.toString() !== id);
+  this.pinnedBy = this.pinnedBy.filter((p) => p.toString() !== id);
+  this.mutedBy = this.mutedBy.filter((m) => m.user.toString() !== id);
+};
+
+// Check if a user is a group admin
+conversationSchema.methods.isAdmin = function (userId) {
+  return this.groupAdmin.some((admin) => (admin._id || admin).toString() === userId.toString());
+};
+
+// Check if a user may perform a group action that can be limited to admins
+conversationSchema.methods.canPerform = function (userId, action) {
+  if (this.type !== 'group') return true;
+  if (!this.groupSettings?.[ADMIN_ONLY_ACTIONS[action]]) return true;
+  return this.isAdmin(userId);
+};
+
+// Generate a new invite code, invalidating the previous link
+conversationSchema.methods.resetInviteCode = function () {
+  this.inviteCode = crypto.randomBytes(12).toString('base64url');
+  return this.inviteCode;
+};
+
+// Get why a user can't send messages here (admin-only group or a block), or null
+conversationSchema.methods.getSendRestriction = async function (userId) {
+  if (!this.canPerform(userId, 'sendMessages')) {
+    return 'Only admins can send messages to this group';
+  }
+  return this.getBlockReason(userId);
+};
+
+// Check if reads are hidden in this chat: read receipts work both ways in private chats,
+// so if either user turned them off neither sees the other's
+conversationSchema.methods.hidesReadReceipts = async function () {
+  if (this.type !== 'private') return false;
+
+  return !!(await mongoose.model('User').exists({
+    _id: { $in: this.participants.map((p) => p._id || p) },
+    'privacy.readReceipts': false,
+  }));
+};
+
+// Check if messaging is blocked between the two users of a private chat
+conversationSchema.methods.getBlockReason = async function (userId) {
+  if (this.type !== 'private') return null;
+
+  const other = this.participants.find(
+    (p) => (p._id || p).toString() !== userId.toString()
+  );
+  if (!other) return null;
+
+  return mongoose.model('User').getBlockReason(userId, other._id || other);
+};
+
 const Conversation = mongoose.model('Conversation', conversationSchema);
 
 export default Conversation;
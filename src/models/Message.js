@@ -14,13 +14,31 @@ const messageSchema = new mongoose.Schema(
     },
     type: {
       type: String,
-      enum: ['text', 'image', 'video', 'audio', 'document', 'voice', 'location', 'contact', 'sticker'],
+      enum: ['text', 'image', 'video', 'audio', 'document', 'voice', 'location', 'contact', 'sticker', 'system'],
       default: 'text',
     },
     content: {
       type: String,
       default: '',
     },
+    // Event details for system messages, e.g. "Alice added Bob"
+    systemEvent: {
+      action: String, // e.g. 'participants-added', 'group-info-updated'
+      actor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      targets: {
+        type: [
+          {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+          },
+        ],
+        default: undefined,
+      },
+      change: mongoose.Schema.Types.Mixed, // Action specific details
+    },
     // File attachment details
     file: {
       url: String,
@@ -29,13 +47,39 @@ const messageSchema = new mongoose.Schema(
       mimeType: String,
       size: Number,
       duration: Number, // For audio/video
-      thumbnail: String, // For video
+      thumbnail: String, // Downscaled preview for images
+      placeholder: String, // Tiny blurred preview (data URI)
+    },
+    // Groups media messages sent together as an album
+    albumId: {
+      type: String,
     },
     // Reply to another message
     replyTo: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Message',
     },
+    // Thread this message is a reply in
+    threadRoot: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Message',
+      default: null,
+    },
+    // Thread summary (kept on the root message)
+    threadReplyCount: {
+      type: Number,
+      default: 0,
+    },
+    threadLastReplyAt: {
+      type: Date,
+    },
+    // Scheduled message this was sent for; unique so a retried send can't post it twice
+    scheduledMessage: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ScheduledMessage',
+      unique: true,
+      sparse: true,
+    },
     // Message status
     status: {
       type: String,
@@ -68,6 +112,11 @@ const messageSchema = new mongoose.Schema(
         },
       },
     ],
+    // Disappearing messages are removed after this time
+    expiresAt: {
+      type: Date,
+      default: null,
+    },
     // Deleted for specific users
     deletedFor: [
       {
@@ -80,6 +129,24 @@ const messageSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    // Edit tracking
+    isEdited: {
+      type: Boolean,
+      default: false,
+    },
+    editedAt: {
+      type: Date,
+    },
+    // Previous revisions of the content, oldest first
+    editHistory: [
+      {
+        content: String,
+        editedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
     // Forwarded message
     isForwarded: {
       type: Boolean,
@@ -109,9 +176,143 @@ const messageSchema = new mongoose.Schema(
 );
 
 // Indexes for faster queries
-messageSchema.index({ conversation: 1, createdAt: -1 });
+messageSchema.index({ conversation: 1, createdAt: -1, _id: -1 });
 messageSchema.index({ sender: 1 });
+messageSchema.index({ threadRoot: 1, createdAt: 1, _id: 1 });
 messageSchema.index({ status: 1 });
+messageSchema.index({ expiresAt: 1 });
+// Word search over message text and file names; no stemming or stop words since chats mix languages
+messageSchema.index(
+  { content: 'text', 'file.originalName': 'text' },
+  { name: 'message_text', default_language: 'none' }
+);
+
+// Check if the message is still within the edit window (15 minutes default)
+messageSchema.methods.isWithinEditWindow = function () {
+  const editWindow = (parseInt(process.env.MESSAGE_EDIT_WINDOW_MINUTES) || 15) * 60 * 1000;
+  return Date.now() - this.createdAt.getTime() <= editWindow;
+};
+
+// Replace content, keeping the previous revision in editHistory
+// Plain copy of the message with read state hidden (reads show as delivered)
+messageSchema.methods.withoutReadReceipts = function () {
+  const obj = this.toObject();
+  return {
+    ...obj,
+    status: obj.status === 'read' ? 'delivered' : obj.status,
+    readBy: [],
+  };
+};
+
+messageSchema.methods.applyEdit = function (newContent) {
+  this.editHistory.push({
+    content: this.content,
+    editedAt: this.editedAt || this.createdAt,
+  });
+  this.content = newContent;
+  this.isEdited = true;
+  this.editedAt = new Date();
+};
+
+// Static method to find the root of the thread a message belongs to
+messageSchema.statics.findThreadRoot = async function (messageId, conversationId) {
+  const message = await this.findOne({
+    _id: messageId,
+    conversation: conversationId,
+    isDeletedForEveryone: false,
+  });
+  if (!message) return null;
+
+  // Replying to a thread reply continues the same thread
+  return message.threadRoot ? this.findById(message.threadRoot) : message;
+};
+
+// Static method to update the thread summary on the root after a new reply
+messageSchema.statics.recordThreadReply = function (rootId, repliedAt) {
+  return this.findByIdAndUpdate(
+    rootId,
+    {
+      $inc: { threadReplyCount: 1 },
+      $max: { threadLastReplyAt: repliedAt },
+    },
+    { new: true, timestamps: false }
+  );
+};
+
+// Check that a message (e.g. a reply target) belongs to a conversation
+messageSchema.statics.existsInConversation = function (messageId, conversationId) {
+  return this.exists({ _id: messageId, conversation: conversationId });
+};
+
+// Static method to mark pending messages in the given conversations sent since a time as delivered to a user
+// Bounding by time lets the lookup use the conversation/createdAt index
+// Returns the messages whose status changed from 'sent' to 'delivered'
+messageSchema.statics.markDeliveredTo = async function (conversationIds, userId, since) {
+  const pending = await this.find({
+    conversation: { $in: conversationIds },
+    createdAt: { $gte: since },
+    sender: { $ne: userId },
+    isDeletedForEveryone: false,
+    'deliveredTo.user': { $ne: userId },
+    'readBy.user': { $ne: userId },
+  }).select('_id conversation sender status');
+
+  if (pending.length === 0) return [];
+
+  await this.updateMany(
+    { _id: { $in: pending.map((m) => m._id) } },
+    { $push: { deliveredTo: { user: userId, deliveredAt: new Date() } } }
+  );
+
+  const delivered = pending.filter((m) => m.status === 'sent');
+  await this.updateMany(
+    { _id: { $in: delivered.map((m) => m._id) }, status: 'sent' },
+    { status: 'delivered' }
+  );
+
+  return delivered;
+};
+
+// Static method to record that a user has read a conversation
+// A message only becomes 'read' once every other participant has read it
+// Returns the IDs of messages that became read
+messageSchema.statics.markReadBy = async function (conversation, userId) {
+  const unread = await this.find({
+    conversation: conversation._id,
+    sender: { $ne: userId },
+    'readBy.user': { $ne: userId },
+  }).select('_id sender');
+
+  if (unread.length === 0) return [];
+
+  const unreadIds = unread.map((m) => m._id);
+  await this.updateMany(
+    { _id: { $in: unreadIds } },
+    { $push: { readBy: { user: userId, readAt: new Date() } } }
+  );
+
+  // Recipients differ per sender, so check each sender's messages separately
+  const participantIds = conversation.participants.map((p) => p.toString());
+  const senderIds = [...new Set(unread.map((m) => m.sender.toString()))];
+  const readIds = [];
+
+  for (const senderId of senderIds) {
+    const recipients = participantIds.filter((id) => id !== senderId);
+    const fullyRead = await this.find({
+      _id: { $in: unreadIds },
+      sender: senderId,
+      status: { $ne: 'read' },
+      'readBy.user': { $all: recipients },
+    }).distinct('_id');
+
+    if (fullyRead.length > 0) {
+      await this.updateMany({ _id: { $in: fullyRead } }, { status: 'read' });
+      readIds.push(...fullyRead);
+    }
+  }
+
+  return readIds;
+};
 
 const Message = mongoose.model('Message', messageSchema);
 
@@ -0,0 +1,66 @@
+import mongoose from 'mongoose';
+
+const scheduledMessageSchema = new mongoose.Schema(
+  {
+    conversation: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Conversation',
+      required: true,
+    },
+    sender: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    content: {
+      type: String,
+      required: [true, 'Message content is required'],
+      trim: true,
+    },
+    replyTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Message',
+    },
+    scheduledFor: {
+      type: Date,
+      required: true,
+    },
+    // 'sending' is held by the scheduler while it delivers the message
+    status: {
+      type: String,
+      enum: ['pending', 'sending', 'sent', 'cancelled', 'failed'],
+      default: 'pending',
+    },
+    // Message created when it was sent
+    message: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Message',
+    },
+    sentAt: {
+      type: Date,
+    },
+    failureReason: {
+      type: String,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+scheduledMessageSchema.index({ status: 1, scheduledFor: 1 });
+scheduledMessageSchema.index({ sender: 1, conversation: 1, status: 1 });
+
+// Static method to claim the next due message so only one scheduler sends it
+scheduledMessageSchema.statics.claimDue = function () {
+  return this.findOneAndUpdate(
+    { status: 'pending', scheduledFor: { $lte: new Date() } },
+    { status: 'sending' },
+    { new: true, sort: { scheduledFor: 1 } }
+  );
+};
+
+const ScheduledMessage = mongoose.model('ScheduledMessage', scheduledMessageSchema);
+
+export default ScheduledMessage;
@@ -0,0 +1,75 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // SHA-256 of the current refresh token, rotated on every refresh
+    refreshTokenHash: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    // Device info for the "active sessions" list
+    userAgent: {
+      type: String,
+      default: '',
+    },
+    ipAddress: {
+      type: String,
+      default: '',
+    },
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// Indexes
+sessionSchema.index({ user: 1, revokedAt: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Hash a refresh token for storage/comparison
+sessionSchema.statics.hashToken = function (token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Static method to find an active (not revoked, not expired) session
+sessionSchema.statics.findActive = function (sessionId) {
+  return this.findOne({
+    _id: sessionId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+};
+
+// Static method to revoke all of a user's sessions, optionally keeping one
+// Returns the IDs of the revoked sessions
+sessionSchema.statics.revokeAll = async function (userId, exceptSessionId) {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+
+  const sessionIds = await this.find(filter).distinct('_id');
+  await this.updateMany({ _id: { $in: sessionIds } }, { revokedAt: new Date() });
+
+  return sessionIds;
+};
+
+const Session = mongoose.model('Session', sessionSchema);
+
+export default Session;
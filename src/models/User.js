@@ -1,6 +1,17 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
 
+export const PRIVACY_OPTIONS = ['everyone', 'contacts', 'nobody'];
+
+// Fields applyPrivacy needs, select/populate them alongside the profile fields
+export const PRIVACY_FIELDS = 'privacy contacts blockedUsers';
+
+// Check if a privacy setting lets a viewer see something
+const isVisibleTo = (setting = 'everyone', { isBlocked, isContact }) => {
+  if (isBlocked) return false;
+  return setting === 'everyone' || (setting === 'contacts' && isContact);
+};
+
 const userSchema = new mongoose.Schema(
   {
     name: {
@@ -34,6 +45,15 @@ const userSchema = new mongoose.Schema(
       type: String,
       default: '',
     },
+    // Generated after upload by the media processor
+    avatarThumbnail: {
+      type: String,
+      default: '',
+    },
+    avatarPlaceholder: {
+      type: String,
+      default: '',
+    },
     about: {
       type: String,
       default: 'Hey there! I am using WhatsApp',
@@ -47,10 +67,6 @@ const userSchema = new mongoose.Schema(
       type: Date,
       default: Date.now,
     },
-    socketId: {
-      type: String,
-      default: '',
-    },
     contacts: [
       {
         type: mongoose.Schema.Types.ObjectId,
@@ -63,6 +79,29 @@ const userSchema = new mongoose.Schema(
         ref: 'User',
       },
     ],
+    // Who can see last seen, online status and profile photo
+    privacy: {
+      lastSeen: {
+        type: String,
+        enum: PRIVACY_OPTIONS,
+        default: 'everyone',
+      },
+      online: {
+        type: String,
+        enum: PRIVACY_OPTIONS,
+        default: 'everyone',
+      },
+      profilePhoto: {
+        type: String,
+        enum: PRIVACY_OPTIONS,
+        default: 'everyone',
+      },
+      // Turning this off also hides other people's read receipts (private chats only)
+      readReceipts: {
+        type: Boolean,
+        default: true,
+      },
+    },
   },
   {
     timestamps: true,
@@ -91,6 +130,62 @@ userSchema.methods.toJSON = function () {
   return obj;
 };
 
+// Static method to check if either user has blocked the other
+// Returns an error message to show the requesting user, or null if not blocked
+userSchema.statics.getBlockReason = async function (userId, otherUserId) {
+  const users = await this.find({
+    $or: [
+      { _id: userId, blockedUsers: otherUserId },
+      { _id: otherUserId, blockedUsers: userId },
+    ],
+  }).select('_id');
+
+  if (users.some((u) => u._id.toString() === userId.toString())) {
+    return 'You have blocked this user';
+  }
+  if (users.length > 0) {
+    return 'You cannot interact with this user';
+  }
+  return null;
+};
+
+// Check if a privacy setting on this user lets a viewer see something
+userSchema.methods.isVisibleTo = function (viewerId, setting) {
+  const viewer = viewerId.toString();
+  return isVisibleTo(this.privacy?.[setting], {
+    isBlocked: this.blockedUsers.some((id) => id.toString() === viewer),
+    isContact: this.contacts.some((id) => id.toString() === viewer),
+  });
+};
+
+// Static method to hide presence/profile details a viewer isn't allowed to see
+// Expects PRIVACY_FIELDS to be loaded on userObj, they are removed from the result
+userSchema.statics.applyPrivacy = function (userObj, viewerId) {
+  const { privacy = {}, contacts = [], blockedUsers = [], ...profile } = userObj;
+  const viewer = viewerId.toString();
+
+  if (profile._id.toString() === viewer) return profile;
+
+  const relation = {
+    isBlocked: blockedUsers.some((id) => id.toString() === viewer),
+    isContact: contacts.some((id) => id.toString() === viewer),
+  };
+
+  if (!isVisibleTo(privacy.profilePhoto, relation)) {
+    profile.avatar = '';
+    if ('avatarThumbnail' in profile) profile.avatarThumbnail = '';
+    if ('avatarPlaceholder' in profile) profile.avatarPlaceholder = '';
+  }
+  if (!isVisibleTo(privacy.online, relation)) {
+    profile.isOnline = false;
+  }
+  if (!isVisibleTo(privacy.lastSeen, relation)) {
+    profile.lastSeen = null;
+  }
+
+  return profile;
+};
+
 const User = mongoose.model('User', userSchema);
 
 export default User;
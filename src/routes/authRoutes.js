@@ -5,16 +5,35 @@ import {
   getMe,
   logout,
   updatePassword,
+  refreshToken,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
 } from '../controllers/authController.js';
 import { protect } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+import {
+  registerSchema,
+  loginSchema,
+  updatePasswordSchema,
+  refreshTokenSchema,
+  sessionIdSchema,
+} from '../validators/authValidators.js';
 
 const router = express.Router();
 
-router.post('/register', register);
-router.post('/login', login);
+router.post('/register', rateLimit('register'), validate(registerSchema), register);
+router.post('/login', rateLimit('login'), validate(loginSchema), login);
 router.get('/me', protect, getMe);
 router.post('/logout', protect, logout);
-router.put('/password', protect, updatePassword);
+router.put('/password', protect, validate(updatePasswordSchema), updatePassword);
+router.post('/refresh', rateLimit('refresh'), validate(refreshTokenSchema), refreshToken);
+
+// Session management
+router.get('/sessions', protect, getSessions);
+router.delete('/sessions', protect, revokeOtherSessions);
+router.delete('/sessions/:sessionId', protect, validate(sessionIdSchema), revokeSession);
 
 export default router;
 
@@ -8,17 +8,21 @@ import {
   getActiveCall,
 } from '../controllers/callController.js';
 import { protect } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+import { idParams } from '../validators/common.js';
+import { initiateCallSchema, callHistorySchema } from '../validators/callValidators.js';
 
 const router = express.Router();
 
 // All routes require authentication
 router.use(protect);
 
-router.post('/initiate', initiateCall);
-router.post('/:callId/accept', acceptCall);
-router.post('/:callId/reject', rejectCall);
-router.post('/:callId/end', endCall);
-router.get('/history', getCallHistory);
+router.post('/initiate', rateLimit('callUser'), validate(initiateCallSchema), initiateCall);
+router.post('/:callId/accept', validate(idParams('callId')), acceptCall);
+router.post('/:callId/reject', validate(idParams('callId')), rejectCall);
+router.post('/:callId/end', validate(idParams('callId')), endCall);
+router.get('/history', validate(callHistorySchema), getCallHistory);
 router.get('/active', getActiveCall);
 
 export default router;
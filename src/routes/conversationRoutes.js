@@ -3,15 +3,44 @@ import {
   getConversations,
   getOrCreatePrivateConversation,
   getConversationById,
+  pinConversation,
+  unpinConversation,
+  muteConversation,
+  unmuteConversation,
+  setDisappearingMessages,
   createGroupConversation,
   updateGroup,
   addParticipants,
   removeParticipant,
   leaveGroup,
   makeAdmin,
+  removeAdmin,
+  updateGroupSettings,
+  getGroupInvite,
+  revokeGroupInvite,
+  previewGroupInvite,
+  joinGroupByInvite,
+  getJoinRequests,
+  approveJoinRequest,
+  rejectJoinRequest,
   deleteConversation,
 } from '../controllers/conversationController.js';
 import { protect } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import {
+  conversationIdSchema,
+  privateConversationSchema,
+  groupMemberSchema,
+  muteConversationSchema,
+  disappearingMessagesSchema,
+  createGroupSchema,
+  updateGroupSchema,
+  addParticipantsSchema,
+  groupSettingsSchema,
+  revokeInviteSchema,
+  inviteCodeSchema,
+  joinRequestSchema,
+} from '../validators/conversationValidators.js';
 
 const router = express.Router();
 
@@ -19,17 +48,31 @@ const router = express.Router();
 router.use(protect);
 
 router.get('/', getConversations);
-router.get('/:id', getConversationById);
-router.post('/private/:userId', getOrCreatePrivateConversation);
-router.delete('/:id', deleteConversation);
+router.get('/invite/:code', validate(inviteCodeSchema), previewGroupInvite);
+router.post('/invite/:code/join', validate(inviteCodeSchema), joinGroupByInvite);
+router.get('/:id', validate(conversationIdSchema), getConversationById);
+router.post('/private/:userId', validate(privateConversationSchema), getOrCreatePrivateConversation);
+router.delete('/:id', validate(conversationIdSchema), deleteConversation);
+router.post('/:id/pin', validate(conversationIdSchema), pinConversation);
+router.delete('/:id/pin', validate(conversationIdSchema), unpinConversation);
+router.post('/:id/mute', validate(muteConversationSchema), muteConversation);
+router.delete('/:id/mute', validate(conversationIdSchema), unmuteConversation);
+router.put('/:id/disappearing', validate(disappearingMessagesSchema), setDisappearingMessages);
 
 // Group routes
-router.post('/group', createGroupConversation);
-router.put('/group/:id', updateGroup);
-router.post('/group/:id/participants', addParticipants);
-router.delete('/group/:id/participants/:userId', removeParticipant);
-router.post('/group/:id/leave', leaveGroup);
-router.post('/group/:id/admin/:userId', makeAdmin);
+router.post('/group', validate(createGroupSchema), createGroupConversation);
+router.put('/group/:id', validate(updateGroupSchema), updateGroup);
+router.post('/group/:id/participants', validate(addParticipantsSchema), addParticipants);
+router.delete('/group/:id/participants/:userId', validate(groupMemberSchema), removeParticipant);
+router.post('/group/:id/leave', validate(conversationIdSchema), leaveGroup);
+router.put('/group/:id/settings', validate(groupSettingsSchema), updateGroupSettings);
+router.post('/group/:id/admin/:userId', validate(groupMemberSchema), makeAdmin);
+router.delete('/group/:id/admin/:userId', validate(groupMemberSchema), removeAdmin);
+router.get('/group/:id/invite', validate(conversationIdSchema), getGroupInvite);
+router.delete('/group/:id/invite', validate(revokeInviteSchema), revokeGroupInvite);
+router.get('/group/:id/requests', validate(conversationIdSchema), getJoinRequests);
+router.post('/group/:id/requests/:userId/approve', validate(joinRequestSchema), approveJoinRequest);
+router.delete('/group/:id/requests/:userId', validate(joinRequestSchema), rejectJoinRequest);
 
 export default router;
 
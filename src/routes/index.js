@@ -4,9 +4,13 @@ import userRoutes from './userRoutes.js';
 import conversationRoutes from './conversationRoutes.js';
 import messageRoutes from './messageRoutes.js';
 import callRoutes from './callRoutes.js';
+import { rateLimit } from '../middleware/rateLimit.js';
 
 const router = express.Router();
 
+// Overall per-IP request budget; stricter per-action limits are set on the routes
+router.use(rateLimit('api'));
+
 // API Health check
 router.get('/health', (req, res) => {
   res.status(200).json({
@@ -1,10 +1,20 @@
 import express from 'express';
 import {
   getMessages,
+  searchMessages,
+  getThread,
+  getMessageInfo,
   sendMessage,
   sendFileMessage,
   sendVoiceMessage,
+  sendAlbum,
+  forwardMessages,
+  scheduleMessage,
+  getScheduledMessages,
+  updateScheduledMessage,
+  cancelScheduledMessage,
   markAsRead,
+  editMessage,
   deleteMessageForMe,
   deleteMessageForEveryone,
   reactToMessage,
@@ -12,7 +22,26 @@ import {
   getStarredMessages,
 } from '../controllers/messageController.js';
 import { protect } from '../middleware/auth.js';
-import { uploadSingle, uploadVoice } from '../middleware/upload.js';
+import { uploadSingle, uploadVoice, uploadMultiple } from '../middleware/upload.js';
+import { validate } from '../middleware/validate.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+import {
+  conversationIdSchema,
+  messageIdSchema,
+  scheduledIdSchema,
+  getMessagesSchema,
+  getThreadSchema,
+  searchMessagesSchema,
+  sendMessageSchema,
+  sendFileSchema,
+  sendVoiceSchema,
+  sendAlbumSchema,
+  forwardMessagesSchema,
+  scheduleMessageSchema,
+  updateScheduledMessageSchema,
+  editMessageSchema,
+  reactSchema,
+} from '../validators/messageValidators.js';
 
 const router = express.Router();
 
@@ -22,18 +51,34 @@ router.use(protect);
 // Starred messages
 router.get('/starred', getStarredMessages);
 
+// Search messages
+router.get('/search', validate(searchMessagesSchema), searchMessages);
+
+// Forward messages
+router.post('/forward', rateLimit('forward'), validate(forwardMessagesSchema), forwardMessages);
+
+// Scheduled messages
+router.put('/scheduled/:scheduledId', rateLimit('editScheduledMessage'), validate(updateScheduledMessageSchema), updateScheduledMessage);
+router.delete('/scheduled/:scheduledId', validate(scheduledIdSchema), cancelScheduledMessage);
+
 // Conversation messages
-router.get('/:conversationId', getMessages);
-router.post('/:conversationId', sendMessage);
-router.post('/:conversationId/file', uploadSingle, sendFileMessage);
-router.post('/:conversationId/voice', uploadVoice, sendVoiceMessage);
-router.put('/:conversationId/read', markAsRead);
+router.get('/:conversationId', validate(getMessagesSchema), getMessages);
+router.post('/:conversationId', rateLimit('sendMessage'), validate(sendMessageSchema), sendMessage);
+router.post('/:conversationId/file', rateLimit('upload'), validate(conversationIdSchema), uploadSingle, validate(sendFileSchema), sendFileMessage);
+router.post('/:conversationId/voice', rateLimit('upload'), validate(conversationIdSchema), uploadVoice, validate(sendVoiceSchema), sendVoiceMessage);
+router.post('/:conversationId/album', rateLimit('upload'), validate(conversationIdSchema), uploadMultiple, validate(sendAlbumSchema), sendAlbum);
+router.put('/:conversationId/read', validate(conversationIdSchema), markAsRead);
+router.get('/:conversationId/scheduled', validate(conversationIdSchema), getScheduledMessages);
+router.post('/:conversationId/scheduled', rateLimit('sendMessage'), validate(scheduleMessageSchema), scheduleMessage);
 
 // Single message actions
-router.delete('/:messageId', deleteMessageForMe);
-router.delete('/:messageId/everyone', deleteMessageForEveryone);
-router.post('/:messageId/react', reactToMessage);
-router.post('/:messageId/star', starMessage);
+router.put('/:messageId', rateLimit('editMessage'), validate(editMessageSchema), editMessage);
+router.get('/:messageId/thread', validate(getThreadSchema), getThread);
+router.get('/:messageId/info', validate(messageIdSchema), getMessageInfo);
+router.delete('/:messageId', validate(messageIdSchema), deleteMessageForMe);
+router.delete('/:messageId/everyone', validate(messageIdSchema), deleteMessageForEveryone);
+router.post('/:messageId/react', validate(reactSchema), reactToMessage);
+router.post('/:messageId/star', validate(messageIdSchema), starMessage);
 
 export default router;
 
@@ -2,7 +2,9 @@ import express from 'express';
 import {
   getUsers,
   getUserById,
+  getMyDevices,
   updateProfile,
+  updatePrivacy,
   updateAvatar,
   addContact,
   removeContact,
@@ -12,25 +14,34 @@ import {
 } from '../controllers/userController.js';
 import { protect } from '../middleware/auth.js';
 import { uploadAvatar } from '../middleware/upload.js';
+import { validate } from '../middleware/validate.js';
+import { idParams } from '../validators/common.js';
+import {
+  getUsersSchema,
+  updateProfileSchema,
+  updatePrivacySchema,
+} from '../validators/userValidators.js';
 
 const router = express.Router();
 
 // All routes require authentication
 router.use(protect);
 
-router.get('/', getUsers);
+router.get('/', validate(getUsersSchema), getUsers);
 router.get('/blocked', getBlockedUsers);
-router.get('/:id', getUserById);
-router.put('/profile', updateProfile);
+router.get('/devices', getMyDevices);
+router.get('/:id', validate(idParams('id')), getUserById);
+router.put('/profile', validate(updateProfileSchema), updateProfile);
+router.put('/privacy', validate(updatePrivacySchema), updatePrivacy);
 router.put('/avatar', uploadAvatar, updateAvatar);
 
 // Contact routes
-router.post('/contacts/:userId', addContact);
-router.delete('/contacts/:userId', removeContact);
+router.post('/contacts/:userId', validate(idParams('userId')), addContact);
+router.delete('/contacts/:userId', validate(idParams('userId')), removeContact);
 
 // Block routes
-router.post('/block/:userId', blockUser);
-router.delete('/block/:userId', unblockUser);
+router.post('/block/:userId', validate(idParams('userId')), blockUser);
+router.delete('/block/:userId', validate(idParams('userId')), unblockUser);
 
 export default router;
 
@@ -7,7 +7,11 @@ import { fileURLToPath } from 'url';
 
 import connectDB from './config/database.js';
 import { initializeSocket } from './config/socket.js';
+import { initializeStateStore } from './config/stateStore.js';
 import { setupSocketHandlers } from './socket/socketHandler.js';
+import { startMessageExpiryJob } from './jobs/messageExpiry.js';
+import { startMessageScheduler } from './jobs/messageScheduler.js';
+import { startPresenceHeartbeat } from './jobs/presenceHeartbeat.js';
 import routes from './routes/index.js';
 import errorHandler from './middleware/errorHandler.js';
 
@@ -22,13 +26,23 @@ dotenv.config();
 const app = express();
 const server = createServer(app);
 
-// Initialize Socket.IO
+// Initialize Socket.IO (shared state + cross-instance adapter when REDIS_URL is set)
 const io = initializeSocket(server);
+await initializeStateStore(io);
 setupSocketHandlers(io);
 
 // Connect to MongoDB
 connectDB();
 
+// Background jobs: remove disappearing messages, send scheduled messages,
+// keep this instance's presence alive
+startMessageExpiryJob();
+startMessageScheduler();
+startPresenceHeartbeat();
+
+// Behind a reverse proxy, take the client IP (used for rate limiting) from X-Forwarded-For
+app.set('trust proxy', process.env.TRUST_PROXY === 'true');
+
 // Middleware
 app.use(cors({
   origin: process.env.FRONTEND_URL || 'http://localhost:3004',
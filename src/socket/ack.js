@@ -0,0 +1,26 @@
+// Acknowledgements for client emits
+// Clients can pass a callback as the last argument of an emit to get its result:
+//   { success: true, ...data } or { success: false, message, ...details }
+// Clients that don't pass one get failures as an 'error' event instead
+export const createAck = (socket, event, callback) => {
+  const hasCallback = typeof callback === 'function';
+
+  return {
+    ok: (data = {}) => {
+      if (hasCallback) callback({ success: true, ...data });
+    },
+    error: (message, details = {}) => {
+      if (hasCallback) {
+        callback({ success: false, message, ...details });
+      } else {
+        socket.emit('error', { event, message, ...details });
+      }
+    },
+  };
+};
+
+// Get the acknowledgement callback of an incoming packet ([event, ...args, callback])
+export const getPacketCallback = (packet) => {
+  const last = packet[packet.length - 1];
+  return packet.length > 1 && typeof last === 'function' ? last : undefined;
+};
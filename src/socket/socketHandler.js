@@ -1,340 +1,576 @@
-import User from '../models/User.js';
+import User, { PRIVACY_FIELDS } from '../models/User.js';
 import Message from '../models/Message.js';
 import Conversation from '../models/Conversation.js';
 import Call from '../models/Call.js';
 import { socketAuth } from '../middleware/auth.js';
+import { validateSocketEvents } from '../middleware/validate.js';
+import socketEventSchemas from '../validators/socketValidators.js';
+import { rateLimitSocketEvents } from '../middleware/rateLimit.js';
+import { SOCKET_EVENT_LIMITS } from '../config/rateLimits.js';
+import { getConversationAccess } from '../middleware/conversationAccess.js';
+import { createAck } from './ack.js';
+import { getIO } from '../config/socket.js';
+import { getStateStore } from '../config/stateStore.js';
+import { deliverMessage } from '../controllers/messageController.js';
+
+// Presence and active calls live in the state store so they can be shared across instances
+// Calls are stored as { participants: [userId], devices: { userId: socketId }, type, createdAt }
+
+// Get where to send call signaling for a user: the device that joined the call,
+// or all of the user's devices while it is still ringing
+const getCallTarget = async (targetUserId, fromUserId, callId) => {
+  const store = getStateStore();
+  let call = callId ? await store.getCall(callId) : null;
+
+  if (!call) {
+    const calls = await store.getCalls();
+    call = calls.map(([, c]) => c).find(
+      (c) => c.participants.includes(targetUserId) && c.participants.includes(fromUserId)
+    );
+  }
 
-// Store active connections
-const onlineUsers = new Map(); // userId -> socketId
-const userSockets = new Map(); // socketId -> userId
-const activeCalls = new Map(); // callId -> { participants: Set<userId>, type: string, createdAt: number }
-
-// Cleanup stale calls every 5 minutes (calls older than 30 minutes are considered stale)
-const CALL_TTL = 30 * 60 * 1000; // 30 minutes
-setInterval(() => {
-  const now = Date.now();
-  for (const [callId, callData] of activeCalls.entries()) {
-    if (callData.createdAt && (now - callData.createdAt) > CALL_TTL) {
-      console.log(`🧹 Cleaning up stale call ${callId} (age: ${Math.round((now - callData.createdAt) / 60000)} minutes)`);
-      activeCalls.delete(callId);
-    }
+  return call?.devices[targetUserId] || `user:${targetUserId}`;
+};
+
+// Get the users allowed to see a user's online status: people who share a conversation
+// with them or have them as a contact, filtered by the user's privacy settings
+const getPresenceAudience = async (user) => {
+  const [participantIds, contactOfIds] = await Promise.all([
+    Conversation.find({ participants: user._id }).distinct('participants'),
+    User.find({ contacts: user._id }).distinct('_id'),
+  ]);
+
+  const audience = new Set([...participantIds, ...contactOfIds].map((id) => id.toString()));
+  audience.delete(user._id.toString());
+
+  return [...audience].filter((viewerId) => user.isVisibleTo(viewerId, 'online'));
+};
+
+// Get the IDs of a user's sockets that joined a group call room
+const getCallRoomSocketIds = async (io, roomId, targetUserId) => {
+  const sockets = await io.in(`call:${roomId}`).fetchSockets();
+  return sockets.filter((s) => s.data.userId === targetUserId).map((s) => s.id);
+};
+
+// Maximum number of changed messages pushed in one sync payload
+const SYNC_MESSAGE_LIMIT = 500;
+
+// Sync cursors point at the last message a client received, keyed on updatedAt + _id
+// A cursor without an ID means "everything changed since this time"
+const encodeSyncCursor = (time, id = '') =>
+  Buffer.from(`${new Date(time).getTime()}:${id}`).toString('base64url');
+
+const decodeSyncCursor = (cursor) => {
+  const [ms, id] = Buffer.from(String(cursor), 'base64url').toString().split(':');
+  const updatedAt = new Date(Number(ms));
+  if (!ms || Number.isNaN(updatedAt.getTime())) return null;
+  return { updatedAt, id: id || null };
+};
+
+// How far back to look for undelivered messages when a user comes online
+const PENDING_DELIVERY_WINDOW_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Mark messages the user missed while offline as delivered and tell their senders
+// Messages sent while they were online were delivered on send, so only look back to when
+// they were last seen (capped, in case that's stale after a crash)
+const deliverPendingMessages = async (io, user, conversationIds) => {
+  const since = new Date(
+    Math.max(new Date(user.lastSeen).getTime() || 0, Date.now() - PENDING_DELIVERY_WINDOW_MS)
+  );
+  const delivered = await Message.markDeliveredTo(conversationIds, user._id, since);
+
+  delivered.forEach((message) => {
+    io.to(`user:${message.sender}`).emit('message-status-update', {
+      messageId: message._id,
+      conversationId: message.conversation,
+      status: 'delivered',
+    });
+  });
+};
+
+// Send a client everything that changed in its conversations since its last sync cursor
+// Without a cursor only a fresh cursor is returned, the client loads history over REST
+const sendSync = async (socket, cursor) => {
+  const userId = socket.user._id;
+  const syncStartedAt = new Date();
+
+  if (!cursor) {
+    socket.emit('sync', {
+      messages: [],
+      conversations: [],
+      hasMore: false,
+      cursor: encodeSyncCursor(syncStartedAt),
+    });
+    return;
+  }
+
+  const position = decodeSyncCursor(cursor);
+  if (!position) {
+    socket.emit('error', { message: 'Invalid sync cursor' });
+    return;
+  }
+
+  const conversationIds = await Conversation.find({ participants: userId }).distinct('_id');
+
+  const messageFilter = {
+    conversation: { $in: conversationIds },
+    deletedFor: { $ne: userId },
+    $or: position.id
+      ? [
+          { updatedAt: { $gt: position.updatedAt } },
+          { updatedAt: position.updatedAt, _id: { $gt: position.id } },
+        ]
+      : [{ updatedAt: { $gte: position.updatedAt } }],
+  };
+
+  const messages = await Message.find(messageFilter)
+    .sort({ updatedAt: 1, _id: 1 })
+    .limit(SYNC_MESSAGE_LIMIT + 1)
+    .populate('sender', 'name email avatar')
+    .populate('replyTo', 'content type sender');
+
+  const hasMore = messages.length > SYNC_MESSAGE_LIMIT;
+  if (hasMore) messages.pop();
+
+  const conversations = await Conversation.find({
+    participants: userId,
+    updatedAt: { $gte: position.updatedAt },
+  })
+    .populate('participants', `name avatar isOnline lastSeen ${PRIVACY_FIELDS}`)
+    .populate('lastMessage')
+    .populate('groupAdmin', 'name');
+
+  const last = messages[messages.length - 1];
+
+  // Hide reads in private chats where either user turned read receipts off
+  const privateConversations = await Conversation.find({
+    _id: { $in: [...new Set(messages.map((m) => m.conversation.toString()))] },
+    type: 'private',
+  }).select('type participants');
+
+  const hiddenReads = new Set();
+  for (const conversation of privateConversations) {
+    if (await conversation.hidesReadReceipts()) hiddenReads.add(conversation._id.toString());
   }
-}, 5 * 60 * 1000); // Run every 5 minutes
+
+  socket.emit('sync', {
+    messages: messages.map((message) =>
+      hiddenReads.has(message.conversation.toString()) ? message.withoutReadReceipts() : message
+    ),
+    conversations: conversations.map((conv) => {
+      const convObj = conv.toObject();
+      convObj.participants = convObj.participants.map((p) => User.applyPrivacy(p, userId));
+      convObj.unreadCount = conv.unreadCount.get(userId.toString()) || 0;
+      return convObj;
+    }),
+    hasMore,
+    cursor: hasMore ? encodeSyncCursor(last.updatedAt, last._id) : encodeSyncCursor(syncStartedAt),
+  });
+};
 
 export const setupSocketHandlers = (io) => {
+  const store = getStateStore();
+
   // Apply authentication middleware
   io.use(socketAuth);
 
   io.on('connection', async (socket) => {
     const userId = socket.user._id.toString();
-    console.log(`🟢 User connected: ${socket.user.email} (${userId})`);
-
-    // Store user's socket
-    onlineUsers.set(userId, socket.id);
-    userSockets.set(socket.id, userId);
-
-    // Update user status in database
-    await User.findByIdAndUpdate(userId, {
-      isOnline: true,
-      socketId: socket.id,
-    });
 
-    // Join user's personal room
-    socket.join(`user:${userId}`);
+    // Drop events over their rate limit, then reject malformed payloads before they reach the handlers
+    rateLimitSocketEvents(socket, SOCKET_EVENT_LIMITS);
+    validateSocketEvents(socket, socketEventSchemas);
 
-    // Notify contacts about online status
-    socket.broadcast.emit('user-online', { userId });
+    console.log(`🟢 User connected: ${socket.user.email} (${userId})`);
 
-    // Join all conversation rooms
-    const conversations = await Conversation.find({ participants: userId });
-    conversations.forEach((conv) => {
-      socket.join(`conversation:${conv._id}`);
-    });
+    // Load a conversation the user takes part in, replying with the reason if they don't
+    const guardConversation = async (conversationId, ack) => {
+      const access = await getConversationAccess(conversationId, userId);
+      if (!access.conversation) {
+        ack.error(access.message);
+      }
+      return access.conversation;
+    };
 
     // ============ MESSAGING EVENTS ============
 
     // Handle sending message via socket
-    socket.on('send-message', async (data) => {
+    socket.on('send-message', async (data, callback) => {
+      const ack = createAck(socket, 'send-message', callback);
+
       try {
-        const { conversationId, content, type = 'text', replyTo } = data;
+        const { conversationId, content, type = 'text', replyTo, threadRoot } = data;
 
-        const conversation = await Conversation.findById(conversationId);
+        const conversation = await guardConversation(conversationId, ack);
         if (!conversation) return;
 
-        // Create message
-        const message = await Message.create({
-          conversation: conversationId,
-          sender: userId,
+        // Check the user can send here (blocks, admin-only groups)
+        const sendRestriction = await conversation.getSendRestriction(userId);
+        if (sendRestriction) {
+          ack.error(sendRestriction);
+          return;
+        }
+
+        if (replyTo && !(await Message.existsInConversation(replyTo, conversationId))) {
+          ack.error('Replied message not found in this conversation');
+          return;
+        }
+
+        // Resolve the thread when replying in one
+        let root;
+        if (threadRoot) {
+          root = await Message.findThreadRoot(threadRoot, conversationId);
+          if (!root) {
+            ack.error('Thread not found');
+            return;
+          }
+        }
+
+        const message = await deliverMessage(conversation, userId, {
           content,
           type,
           replyTo,
+          threadRoot: root,
         });
 
-        // Update conversation
-        conversation.lastMessage = message._id;
-        conversation.participants.forEach((participant) => {
-          if (participant.toString() !== userId) {
-            const currentCount = conversation.unreadCount.get(participant.toString()) || 0;
-            conversation.unreadCount.set(participant.toString(), currentCount + 1);
-          }
-        });
-        await conversation.save();
+        ack.ok({ message });
+      } catch (error) {
+        console.error('Error sending message:', error);
+        ack.error('Failed to send message');
+      }
+    });
+
+    // Handle editing a message via socket
+    socket.on('edit-message', async ({ messageId, content }, callback) => {
+      const ack = createAck(socket, 'edit-message', callback);
+
+      try {
+        if (!content || !content.trim()) {
+          ack.error('Message content is required');
+          return;
+        }
 
-        // Populate message
-        await message.populate('sender', 'name email avatar');
-        await message.populate('replyTo', 'content type sender');
+        const message = await Message.findById(messageId);
+        if (!message) {
+          ack.error('Message not found');
+          return;
+        }
 
-        // Emit to conversation room
-        io.to(`conversation:${conversationId}`).emit('new-message', message);
+        if (message.sender.toString() !== userId) {
+          ack.error('Only sender can edit this message');
+          return;
+        }
 
-        // Mark as delivered for online participants
-        conversation.participants.forEach((participant) => {
-          const participantId = participant.toString();
-          if (participantId !== userId && onlineUsers.has(participantId)) {
-            message.deliveredTo.push({
-              user: participantId,
-              deliveredAt: new Date(),
-            });
-          }
-        });
+        // Senders who left the conversation can no longer edit there
+        if (!(await guardConversation(message.conversation, ack))) return;
 
-        if (message.deliveredTo.length > 0) {
-          message.status = 'delivered';
-          await message.save();
-          io.to(`conversation:${conversationId}`).emit('message-status-update', {
-            messageId: message._id,
-            status: 'delivered',
-          });
+        if (message.type !== 'text' || message.isDeletedForEveryone) {
+          ack.error('This message cannot be edited');
+          return;
         }
+
+        if (!message.isWithinEditWindow()) {
+          ack.error('Edit time limit has expired');
+          return;
+        }
+
+        if (message.content === content) {
+          ack.ok({ messageId: message._id, editedAt: message.editedAt });
+          return;
+        }
+
+        message.applyEdit(content);
+        await message.save();
+
+        io.to(`conversation:${message.conversation}`).emit('message-edited', {
+          messageId: message._id,
+          conversationId: message.conversation,
+          content: message.content,
+          isEdited: message.isEdited,
+          editedAt: message.editedAt,
+        });
+
+        ack.ok({ messageId: message._id, editedAt: message.editedAt });
       } catch (error) {
-        console.error('Error sending message:', error);
-        socket.emit('error', { message: 'Failed to send message' });
+        console.error('Error editing message:', error);
+        ack.error('Failed to edit message');
       }
     });
 
     // Handle typing indicator
-    socket.on('typing-start', ({ conversationId }) => {
-      socket.to(`conversation:${conversationId}`).emit('user-typing', {
-        conversationId,
-        userId,
-        userName: socket.user.email,
-      });
+    socket.on('typing-start', async ({ conversationId }, callback) => {
+      const ack = createAck(socket, 'typing-start', callback);
+
+      try {
+        if (!(await guardConversation(conversationId, ack))) return;
+
+        socket.to(`conversation:${conversationId}`).emit('user-typing', {
+          conversationId,
+          userId,
+          userName: socket.user.email,
+        });
+        ack.ok();
+      } catch (error) {
+        console.error('Error sending typing indicator:', error);
+        ack.error('Failed to send typing indicator');
+      }
     });
 
-    socket.on('typing-stop', ({ conversationId }) => {
-      socket.to(`conversation:${conversationId}`).emit('user-stopped-typing', {
-        conversationId,
-        userId,
-      });
+    socket.on('typing-stop', async ({ conversationId }, callback) => {
+      const ack = createAck(socket, 'typing-stop', callback);
+
+      try {
+        if (!(await guardConversation(conversationId, ack))) return;
+
+        socket.to(`conversation:${conversationId}`).emit('user-stopped-typing', {
+          conversationId,
+          userId,
+        });
+        ack.ok();
+      } catch (error) {
+        console.error('Error sending typing indicator:', error);
+        ack.error('Failed to send typing indicator');
+      }
     });
 
     // Handle message read
-    socket.on('messages-read', async ({ conversationId }) => {
+    socket.on('messages-read', async ({ conversationId }, callback) => {
+      const ack = createAck(socket, 'messages-read', callback);
+
       try {
-        await Message.updateMany(
-          {
-            conversation: conversationId,
-            sender: { $ne: userId },
-            status: { $ne: 'read' },
-          },
-          {
-            $set: { status: 'read' },
-            $push: {
-              readBy: {
-                user: userId,
-                readAt: new Date(),
-              },
-            },
-          }
-        );
+        const conversation = await guardConversation(conversationId, ack);
+        if (!conversation) return;
+
+        await markConversationRead(conversation, userId);
 
         // Reset unread count
-        const conversation = await Conversation.findById(conversationId);
-        if (conversation) {
-          conversation.unreadCount.set(userId, 0);
-          await conversation.save();
-        }
+        conversation.unreadCount.set(userId, 0);
+        await conversation.save();
 
-        socket.to(`conversation:${conversationId}`).emit('messages-read', {
-          conversationId,
-          userId,
-        });
+        ack.ok();
       } catch (error) {
         console.error('Error marking messages as read:', error);
+        ack.error('Failed to mark messages as read');
       }
     });
 
     // ============ WEBRTC SIGNALING EVENTS ============
 
     // Handle call initiation - sends offer to callee
-    socket.on('call-user', async ({ userToCall, signalData, callType, callId }) => {
-      console.log(`📞 Call from ${socket.user.email} to ${userToCall}, type: ${callType}`);
+    socket.on('call-user', async ({ userToCall, signalData, callType, callId }, callback) => {
+      const ack = createAck(socket, 'call-user', callback);
 
-      const targetSocketId = onlineUsers.get(userToCall);
+      try {
+        console.log(`📞 Call from ${socket.user.email} to ${userToCall}, type: ${callType}`);
+
+        // Check if either user has blocked the other
+        const blockReason = await User.getBlockReason(userId, userToCall);
+        if (blockReason) {
+          ack.error(blockReason);
+          return;
+        }
 
-      if (targetSocketId) {
-        // Check if target user is already in a call (excluding current call)
-        for (const [activeCallId, callData] of activeCalls.entries()) {
-          // Skip if this is the same call being initiated
-          if (activeCallId === callId) continue;
+        if (await store.isUserOnline(userToCall)) {
+          const calls = await store.getCalls();
 
-          if (callData.participants.has(userToCall)) {
-            console.log(`📵 User ${userToCall} is busy on another call (${activeCallId})`);
-            socket.emit('user-busy', { from: userToCall, callId });
-            return;
+          // Check if target user is already in a call (excluding current call)
+          for (const [activeCallId, callData] of calls) {
+            // Skip if this is the same call being initiated
+            if (activeCallId === callId) continue;
+
+            if (callData.participants.includes(userToCall)) {
+              console.log(`📵 User ${userToCall} is busy on another call (${activeCallId})`);
+              socket.emit('user-busy', { from: userToCall, callId });
+              ack.ok({ status: 'busy' });
+              return;
+            }
           }
-        }
 
-        // Clean up any stale calls for the caller before adding new one
-        for (const [activeCallId, callData] of activeCalls.entries()) {
-          if (activeCallId !== callId && callData.participants.has(userId)) {
-            console.log(`🧹 Cleaning up stale call ${activeCallId} for caller ${userId}`);
-            activeCalls.delete(activeCallId);
+          // Clean up any stale calls for the caller before adding new one
+          for (const [activeCallId, callData] of calls) {
+            if (activeCallId !== callId && callData.participants.includes(userId)) {
+              console.log(`🧹 Cleaning up stale call ${activeCallId} for caller ${userId}`);
+              await store.deleteCall(activeCallId);
+            }
           }
-        }
 
-        // Store active call
-        if (!activeCalls.has(callId)) {
-          activeCalls.set(callId, {
-            participants: new Set([userId]),
+          // Store active call, the caller's device is bound to it right away
+          const call = await store.getCall(callId) || {
+            participants: [userId],
+            devices: { [userId]: socket.id },
             type: callType,
             createdAt: Date.now(),
+          };
+          if (!call.participants.includes(userToCall)) {
+            call.participants.push(userToCall);
+          }
+          await store.saveCall(callId, call);
+
+          // Ring all of the target user's devices
+          io.to(`user:${userToCall}`).emit('incoming-call-signal', {
+            signal: signalData,
+            from: userId,
+            callerName: socket.user.email,
+            callerAvatar: socket.user.avatar,
+            callType,
+            callId,
           });
-        }
-        activeCalls.get(callId).participants.add(userToCall);
-
-        // Send incoming call signal to the target user
-        io.to(targetSocketId).emit('incoming-call-signal', {
-          signal: signalData,
-          from: userId,
-          callerName: socket.user.email,
-          callerAvatar: socket.user.avatar,
-          callType,
-          callId,
-        });
 
-        console.log(`✅ Call signal sent to ${userToCall}`);
-      } else {
-        console.log(`📵 User ${userToCall} is offline`);
-        socket.emit('user-unavailable', { userId: userToCall });
-
-        // Update call status if exists
-        if (callId) {
-          try {
-            await Call.findByIdAndUpdate(callId, { status: 'missed' });
-          } catch (error) {
-            console.error('Error updating call status:', error);
+          console.log(`✅ Call signal sent to ${userToCall}`);
+          ack.ok({ status: 'ringing' });
+        } else {
+          console.log(`📵 User ${userToCall} is offline`);
+          socket.emit('user-unavailable', { userId: userToCall });
+          ack.ok({ status: 'unavailable' });
+
+          // Update call status if exists
+          if (callId) {
+            try {
+              await Call.findByIdAndUpdate(callId, { status: 'missed' });
+            } catch (error) {
+              console.error('Error updating call status:', error);
+            }
           }
         }
+      } catch (error) {
+        console.error('Error initiating call:', error);
+        ack.error('Failed to start call');
       }
     });
 
     // Handle call answer - sends answer back to caller
     socket.on('answer-call', async ({ signal, to, callId }) => {
-      console.log(`📞 Call answered by ${socket.user.email}, sending to ${to}`);
-
-      const targetSocketId = onlineUsers.get(to);
+      try {
+        console.log(`📞 Call answered by ${socket.user.email}, sending to ${to}`);
 
-      if (targetSocketId) {
-        io.to(targetSocketId).emit('call-accepted', {
-          signal,
-          from: userId,
+        // Bind the call to the answering device and stop ringing on the others
+        const call = callId ? await store.getCall(callId) : null;
+        if (call) {
+          call.devices[userId] = socket.id;
+          await store.saveCall(callId, call);
+        }
+        socket.to(`user:${userId}`).emit('call-handled-elsewhere', {
           callId,
+          action: 'answered',
         });
 
-        console.log(`✅ Answer signal sent to ${to}`);
+        if (await store.isUserOnline(to)) {
+          io.to(await getCallTarget(to, userId, callId)).emit('call-accepted', {
+            signal,
+            from: userId,
+            callId,
+          });
 
-        // Update call status
-        if (callId) {
-          try {
-            await Call.findByIdAndUpdate(callId, {
-              status: 'ongoing',
-              startedAt: new Date(),
-            });
-          } catch (error) {
-            console.error('Error updating call status:', error);
+          console.log(`✅ Answer signal sent to ${to}`);
+
+          // Update call status
+          if (callId) {
+            try {
+              await Call.findByIdAndUpdate(callId, {
+                status: 'ongoing',
+                startedAt: new Date(),
+              });
+            } catch (error) {
+              console.error('Error updating call status:', error);
+            }
           }
         }
+      } catch (error) {
+        console.error('Error answering call:', error);
       }
     });
 
     // Handle ICE candidates - trickle ICE
-    socket.on('ice-candidate', ({ candidate, to }) => {
-      console.log(`🧊 ICE candidate from ${userId} to ${to}`);
-
-      const targetSocketId = onlineUsers.get(to);
+    socket.on('ice-candidate', async ({ candidate, to }) => {
+      try {
+        console.log(`🧊 ICE candidate from ${userId} to ${to}`);
 
-      if (targetSocketId) {
-        io.to(targetSocketId).emit('ice-candidate', {
-          candidate,
-          from: userId,
-        });
+        if (await store.isUserOnline(to)) {
+          io.to(await getCallTarget(to, userId)).emit('ice-candidate', {
+            candidate,
+            from: userId,
+          });
+        }
+      } catch (error) {
+        console.error('Error relaying ICE candidate:', error);
       }
     });
 
     // Handle call rejection
     socket.on('reject-call', async ({ to, callId }) => {
-      console.log(`❌ Call rejected by ${socket.user.email}`);
-
-      const targetSocketId = onlineUsers.get(to);
+      try {
+        console.log(`❌ Call rejected by ${socket.user.email}`);
 
-      if (targetSocketId) {
-        io.to(targetSocketId).emit('call-rejected', {
-          from: userId,
+        // Stop ringing on the user's other devices
+        socket.to(`user:${userId}`).emit('call-handled-elsewhere', {
           callId,
+          action: 'rejected',
         });
-      }
 
-      // Clean up active call
-      if (activeCalls.has(callId)) {
-        activeCalls.delete(callId);
-      }
+        if (await store.isUserOnline(to)) {
+          io.to(await getCallTarget(to, userId, callId)).emit('call-rejected', {
+            from: userId,
+            callId,
+          });
+        }
+
+        // Clean up active call
+        if (callId) {
+          await store.deleteCall(callId);
+        }
 
-      // Update call status
-      if (callId) {
-        try {
-          await Call.findByIdAndUpdate(callId, { status: 'rejected' });
-        } catch (error) {
-          console.error('Error updating call status:', error);
+        // Update call status
+        if (callId) {
+          try {
+            await Call.findByIdAndUpdate(callId, { status: 'rejected' });
+          } catch (error) {
+            console.error('Error updating call status:', error);
+          }
         }
+      } catch (error) {
+        console.error('Error rejecting call:', error);
       }
     });
 
     // Handle call end
     socket.on('end-call', async ({ to, callId }) => {
-      console.log(`📴 Call ended by ${socket.user.email}`);
-
-      const targetSocketId = onlineUsers.get(to);
+      try {
+        console.log(`📴 Call ended by ${socket.user.email}`);
 
-      if (targetSocketId) {
-        io.to(targetSocketId).emit('call-ended', {
-          from: userId,
-          callId,
-        });
-      }
+        if (await store.isUserOnline(to)) {
+          io.to(await getCallTarget(to, userId, callId)).emit('call-ended', {
+            from: userId,
+            callId,
+          });
+        }
 
-      // Clean up active call
-      if (activeCalls.has(callId)) {
-        activeCalls.delete(callId);
+        // Clean up active call
+        if (callId) {
+          await store.deleteCall(callId);
+        }
+      } catch (error) {
+        console.error('Error ending call:', error);
       }
     });
 
     // Handle busy status
     socket.on('user-busy', async ({ to, callId }) => {
-      console.log(`📵 User ${socket.user.email} is busy`);
-
-      const targetSocketId = onlineUsers.get(to);
+      try {
+        console.log(`📵 User ${socket.user.email} is busy`);
 
-      if (targetSocketId) {
-        io.to(targetSocketId).emit('user-busy', {
-          from: userId,
-          callId,
-        });
-      }
+        if (await store.isUserOnline(to)) {
+          io.to(await getCallTarget(to, userId, callId)).emit('user-busy', {
+            from: userId,
+            callId,
+          });
+        }
 
-      // Clean up active call
-      if (activeCalls.has(callId)) {
-        activeCalls.delete(callId);
+        // Clean up active call
+        if (callId) {
+          await store.deleteCall(callId);
+        }
+      } catch (error) {
+        console.error('Error sending busy status:', error);
       }
     });
 
@@ -364,138 +600,380 @@ export const setupSocketHandlers = (io) => {
     });
 
     // Group call signaling
-    socket.on('group-call-signal', ({ roomId, userToSignal, signal }) => {
-      const targetSocketId = onlineUsers.get(userToSignal);
-
-      if (targetSocketId) {
-        io.to(targetSocketId).emit('group-call-signal', {
-          signal,
-          from: userId,
-          fromName: socket.user.email,
-          roomId,
-        });
+    socket.on('group-call-signal', async ({ roomId, userToSignal, signal }) => {
+      try {
+        const targetSocketIds = await getCallRoomSocketIds(io, roomId, userToSignal);
+
+        if (targetSocketIds.length > 0) {
+          io.to(targetSocketIds).emit('group-call-signal', {
+            signal,
+            from: userId,
+            fromName: socket.user.email,
+            roomId,
+          });
+        }
+      } catch (error) {
+        console.error('Error relaying group call signal:', error);
       }
     });
 
     // Group call return signal
-    socket.on('group-call-return-signal', ({ to, signal }) => {
-      const targetSocketId = onlineUsers.get(to);
-
-      if (targetSocketId) {
-        io.to(targetSocketId).emit('group-call-signal-returned', {
-          signal,
-          from: userId,
-        });
+    socket.on('group-call-return-signal', async ({ to, signal, roomId }) => {
+      try {
+        // Default to the call room this device is in
+        const callRoomId = roomId || [...socket.rooms].find((room) => room.startsWith('call:'))?.slice(5);
+        const targetSocketIds = callRoomId ? await getCallRoomSocketIds(io, callRoomId, to) : [];
+
+        if (targetSocketIds.length > 0) {
+          io.to(targetSocketIds).emit('group-call-signal-returned', {
+            signal,
+            from: userId,
+          });
+        }
+      } catch (error) {
+        console.error('Error relaying group call signal:', error);
       }
     });
 
     // ============ SCREEN SHARING EVENTS ============
 
-    socket.on('screen-share-started', ({ conversationId, roomId }) => {
-      const room = roomId ? `call:${roomId}` : `conversation:${conversationId}`;
-      console.log(`🖥️ ${socket.user.email} started screen sharing`);
+    // Get the room to announce screen sharing to: the call room, or a conversation the user is in
+    const getScreenShareRoom = async ({ conversationId, roomId }, ack) => {
+      if (roomId) return `call:${roomId}`;
 
-      socket.to(room).emit('screen-share-started', {
-        userId,
-        userName: socket.user.email,
-      });
+      if (!conversationId) {
+        ack.error('conversationId or roomId is required');
+        return null;
+      }
+
+      const conversation = await guardConversation(conversationId, ack);
+      return conversation ? `conversation:${conversationId}` : null;
+    };
+
+    socket.on('screen-share-started', async (data, callback) => {
+      const ack = createAck(socket, 'screen-share-started', callback);
+
+      try {
+        const room = await getScreenShareRoom(data, ack);
+        if (!room) return;
+
+        console.log(`🖥️ ${socket.user.email} started screen sharing`);
+        socket.to(room).emit('screen-share-started', {
+          userId,
+          userName: socket.user.email,
+        });
+        ack.ok();
+      } catch (error) {
+        console.error('Error starting screen share:', error);
+        ack.error('Failed to start screen sharing');
+      }
     });
 
-    socket.on('screen-share-stopped', ({ conversationId, roomId }) => {
-      const room = roomId ? `call:${roomId}` : `conversation:${conversationId}`;
-      console.log(`🖥️ ${socket.user.email} stopped screen sharing`);
+    socket.on('screen-share-stopped', async (data, callback) => {
+      const ack = createAck(socket, 'screen-share-stopped', callback);
 
-      socket.to(room).emit('screen-share-stopped', {
-        userId,
-      });
+      try {
+        const room = await getScreenShareRoom(data, ack);
+        if (!room) return;
+
+        console.log(`🖥️ ${socket.user.email} stopped screen sharing`);
+        socket.to(room).emit('screen-share-stopped', {
+          userId,
+        });
+        ack.ok();
+      } catch (error) {
+        console.error('Error stopping screen share:', error);
+        ack.error('Failed to stop screen sharing');
+      }
     });
 
     // ============ PRESENCE EVENTS ============
 
+    // Client asks for changes since its last sync cursor (e.g. to fetch the next page)
+    socket.on('sync', async ({ cursor } = {}, callback) => {
+      const ack = createAck(socket, 'sync', callback);
+
+      try {
+        await sendSync(socket, cursor);
+        ack.ok();
+      } catch (error) {
+        console.error('Error syncing user:', error);
+        ack.error('Failed to sync');
+      }
+    });
+
     // Handle join conversation (for real-time updates)
-    socket.on('join-conversation', ({ conversationId }) => {
-      socket.join(`conversation:${conversationId}`);
+    socket.on('join-conversation', async ({ conversationId }, callback) => {
+      const ack = createAck(socket, 'join-conversation', callback);
+
+      try {
+        if (!(await guardConversation(conversationId, ack))) return;
+
+        socket.join(`conversation:${conversationId}`);
+        ack.ok();
+      } catch (error) {
+        console.error('Error joining conversation:', error);
+        ack.error('Failed to join conversation');
+      }
     });
 
-    socket.on('leave-conversation', ({ conversationId }) => {
+    socket.on('leave-conversation', ({ conversationId }, callback) => {
       socket.leave(`conversation:${conversationId}`);
+      createAck(socket, 'leave-conversation', callback).ok();
     });
 
     // ============ DISCONNECT ============
 
     socket.on('disconnect', async () => {
-      console.log(`🔴 User disconnected: ${socket.user.email} (${userId})`);
-
-      // Remove from maps
-      onlineUsers.delete(userId);
-      userSockets.delete(socket.id);
-
-      // Clean up any active calls for this user
-      for (const [callId, callData] of activeCalls.entries()) {
-        if (callData.participants.has(userId)) {
-          // Notify other participants
-          callData.participants.forEach((participantId) => {
-            if (participantId !== userId) {
-              const participantSocketId = onlineUsers.get(participantId);
-              if (participantSocketId) {
-                io.to(participantSocketId).emit('call-ended', {
+      try {
+        console.log(`🔴 User disconnected: ${socket.user.email} (${userId})`);
+
+        // Remove from state store
+        const remainingDevices = await store.removeSocket(userId, socket.id);
+        const isLastDevice = remainingDevices === 0;
+
+        // Clean up active calls this device was in (or still ringing, if it was the last device)
+        for (const [callId, callData] of await store.getCalls()) {
+          const callDevice = callData.devices[userId];
+          const isInCall = callDevice ? callDevice === socket.id : isLastDevice;
+
+          if (callData.participants.includes(userId) && isInCall) {
+            // Notify other participants
+            callData.participants.forEach((participantId) => {
+              if (participantId !== userId) {
+                io.to(callData.devices[participantId] || `user:${participantId}`).emit('call-ended', {
                   from: userId,
                   callId,
                   reason: 'disconnect',
                 });
               }
-            }
-          });
-
-          // Remove from active calls
-          activeCalls.delete(callId);
-
-          // Update call status in database
-          try {
-            await Call.findByIdAndUpdate(callId, {
-              status: 'ended',
-              endedAt: new Date(),
             });
-          } catch (error) {
-            console.error('Error updating call on disconnect:', error);
+
+            // Remove from active calls
+            await store.deleteCall(callId);
+
+            // Update call status in database
+            try {
+              await Call.findByIdAndUpdate(callId, {
+                status: 'ended',
+                endedAt: new Date(),
+              });
+            } catch (error) {
+              console.error('Error updating call on disconnect:', error);
+            }
           }
         }
+
+        // Still connected from another device
+        if (!isLastDevice) return;
+
+        await markUserOffline(userId);
+      } catch (error) {
+        console.error('Error handling disconnect:', error);
       }
+    });
 
-      // Update user status
-      await User.findByIdAndUpdate(userId, {
-        isOnline: false,
-        lastSeen: new Date(),
-        socketId: '',
+    // ============ SETUP ============
+
+    // Register the device, announce presence and join rooms
+    // Runs after the listeners are attached so early events and disconnects aren't missed
+    // If any of it fails the socket is dropped so the client reconnects and retries
+    let conversations;
+    try {
+      // Store user's socket, a user can be connected from several devices
+      const deviceCount = await store.addSocket(userId, socket.id, {
+        sessionId: socket.sessionId,
+        userAgent: socket.handshake.headers['user-agent'] || '',
+        connectedAt: new Date(),
       });
+      const isFirstDevice = deviceCount === 1;
+      socket.data.userId = userId;
 
-      // Notify contacts about offline status
-      socket.broadcast.emit('user-offline', {
-        userId,
-        lastSeen: new Date(),
+      // Join user's personal room (shared by all of the user's devices)
+      socket.join(`user:${userId}`);
+
+      // Join session room so the socket can be dropped when the session is revoked
+      socket.join(`session:${socket.sessionId}`);
+
+      if (isFirstDevice) {
+        // Update user status in database
+        await User.findByIdAndUpdate(userId, { isOnline: true });
+
+        // Notify contacts and chat partners allowed to see online status
+        const audience = await getPresenceAudience(socket.user);
+        if (audience.length > 0) {
+          io.to(audience.map((id) => `user:${id}`)).emit('user-online', { userId });
+        }
+      }
+
+      // Join all conversation rooms
+      conversations = await Conversation.find({ participants: userId });
+      conversations.forEach((conv) => {
+        socket.join(`conversation:${conv._id}`);
       });
-    });
+
+      // The client may have gone away while this ran, after its disconnect handler
+      // already ran: undo the registration so the device doesn't linger
+      if (!socket.connected) {
+        const remainingDevices = await store.removeSocket(userId, socket.id);
+        if (remainingDevices === 0) await markUserOffline(userId);
+        return;
+      }
+    } catch (error) {
+      console.error('Error setting up socket connection:', error);
+      await store.removeSocket(userId, socket.id).catch(() => {});
+      socket.disconnect(true);
+      return;
+    }
+
+    // Catch up on anything missed while offline
+    try {
+      await deliverPendingMessages(io, socket.user, conversations.map((conv) => conv._id));
+      await sendSync(socket, socket.handshake.auth?.syncCursor);
+    } catch (error) {
+      console.error('Error syncing user:', error);
+    }
   });
 
   return io;
 };
 
+// Helper function to record a user going offline (last device disconnected, or the
+// instance holding their sockets died) and notify those allowed to see it
+export const markUserOffline = async (userId) => {
+  const io = getIO();
+  const user = await User.findByIdAndUpdate(
+    userId,
+    {
+      isOnline: false,
+      lastSeen: new Date(),
+    },
+    { new: true }
+  );
+
+  if (!user) return;
+
+  // Notify contacts and chat partners allowed to see online status,
+  // last seen is only included for those allowed to see it
+  const audience = await getPresenceAudience(user);
+  const withLastSeen = audience.filter((id) => user.isVisibleTo(id, 'lastSeen'));
+  const withoutLastSeen = audience.filter((id) => !withLastSeen.includes(id));
+
+  if (withLastSeen.length > 0) {
+    io.to(withLastSeen.map((id) => `user:${id}`)).emit('user-offline', {
+      userId,
+      lastSeen: user.lastSeen,
+    });
+  }
+  if (withoutLastSeen.length > 0) {
+    io.to(withoutLastSeen.map((id) => `user:${id}`)).emit('user-offline', {
+      userId,
+      lastSeen: null,
+    });
+  }
+};
+
 // Helper function to get online users
 export const getOnlineUsers = () => {
-  return Array.from(onlineUsers.keys());
+  return getStateStore().getOnlineUserIds();
 };
 
 // Helper function to check if user is online
 export const isUserOnline = (userId) => {
-  return onlineUsers.has(userId);
+  return getStateStore().isUserOnline(userId);
+};
+
+// Helper function to get the socket IDs of all of a user's devices
+export const getUserSocketIds = (userId) => {
+  return getStateStore().getUserSocketIds(userId);
+};
+
+// Helper function to get a user's connected devices
+export const getUserDevices = (userId) => {
+  return getStateStore().getUserDevices(userId);
+};
+
+// Helper function to notify participants of a new message, skipping the sender and muted users
+export const sendMessageNotifications = (conversation, message) => {
+  const io = getIO();
+  const senderId = (message.sender._id || message.sender).toString();
+
+  conversation.participants.forEach((participant) => {
+    const participantId = participant.toString();
+    if (participantId === senderId || conversation.getMuteFor(participantId)) return;
+
+    io.to(`user:${participantId}`).emit('incoming-message-notification', {
+      conversationId: conversation._id,
+      conversationType: conversation.type,
+      groupName: conversation.groupName,
+      message,
+    });
+  });
 };
 
-// Helper function to get user's socket ID
-export const getUserSocketId = (userId) => {
-  return onlineUsers.get(userId);
+// Helper function to mark a conversation read by a user and send read receipts
+// Reads are always recorded. Receipts are always sent in groups; in private chats they follow
+// the readReceipts setting both ways: users who turned it off neither send nor receive them
+export const markConversationRead = async (conversation, readerId) => {
+  const io = getIO();
+  let rooms = [`conversation:${conversation._id}`];
+
+  if (conversation.type === 'private') {
+    const reader = await User.findById(readerId).select('privacy');
+
+    if (reader?.privacy?.readReceipts === false) {
+      rooms = [];
+    } else {
+      const recipients = await User.find({
+        _id: { $in: conversation.participants, $ne: readerId },
+        'privacy.readReceipts': { $ne: false },
+      }).distinct('_id');
+      rooms = recipients.map((id) => `user:${id}`);
+    }
+  }
+
+  const readIds = await Message.markReadBy(conversation, readerId);
+  if (rooms.length === 0) return;
+
+  io.to(rooms).emit('messages-read', {
+    conversationId: conversation._id,
+    userId: readerId,
+  });
+  readIds.forEach((messageId) => {
+    io.to(rooms).emit('message-status-update', {
+      messageId,
+      status: 'read',
+    });
+  });
+};
+
+// Helper function to disconnect sockets belonging to revoked sessions
+export const disconnectSessions = (sessionIds) => {
+  const io = getIO();
+  sessionIds.forEach((sessionId) => {
+    io.in(`session:${sessionId}`).disconnectSockets(true);
+  });
+};
+
+// Helper function to add users' connected sockets to a conversation room
+export const joinConversationRoom = (userIds, conversationId) => {
+  const io = getIO();
+  const rooms = userIds.map((id) => `user:${id}`);
+  if (rooms.length === 0) return;
+
+  io.in(rooms).socketsJoin(`conversation:${conversationId}`);
+};
+
+// Helper function to remove users' connected sockets from a conversation room
+export const leaveConversationRoom = (userIds, conversationId) => {
+  const io = getIO();
+  const rooms = userIds.map((id) => `user:${id}`);
+  if (rooms.length === 0) return;
+
+  io.in(rooms).socketsLeave(`conversation:${conversationId}`);
 };
 
 // Helper function to get active calls
 export const getActiveCalls = () => {
-  return activeCalls;
+  return getStateStore().getCalls();
 };
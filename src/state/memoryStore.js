@@ -0,0 +1,113 @@
+// In-memory state store for presence, active calls and rate limit counters
+// Used for single-instance deployments, and as an in-process fake in tests
+export const createMemoryStore = ({ callTtl }) => {
+  const userSockets = new Map(); // userId -> Set<socketId>
+  const sockets = new Map(); // socketId -> { userId, sessionId, userAgent, connectedAt }
+  const calls = new Map(); // callId -> { participants: [userId], devices: { userId: socketId }, type, createdAt }
+  const counters = new Map(); // name -> { count, resetAt }
+
+  const isExpired = (call) => Date.now() - call.createdAt > callTtl;
+
+  return {
+    // Add a socket for a user, returns how many sockets the user now has
+    async addSocket(userId, socketId, info) {
+      if (!userSockets.has(userId)) userSockets.set(userId, new Set());
+      userSockets.get(userId).add(socketId);
+      sockets.set(socketId, { userId, ...info });
+      return userSockets.get(userId).size;
+    },
+
+    // Remove a socket for a user, returns how many sockets the user has left
+    async removeSocket(userId, socketId) {
+      sockets.delete(socketId);
+      const ids = userSockets.get(userId);
+      ids?.delete(socketId);
+      if (!ids || ids.size === 0) {
+        userSockets.delete(userId);
+        return 0;
+      }
+      return ids.size;
+    },
+
+    // A single instance has no other instances to clean up after
+    async registerInstance() {},
+
+    async removeDeadInstances() {
+      return [];
+    },
+
+    async getUserSocketIds(userId) {
+      return Array.from(userSockets.get(userId) || []);
+    },
+
+    async getUserDevices(userId) {
+      return Array.from(userSockets.get(userId) || []).map((socketId) => ({
+        socketId,
+        ...sockets.get(socketId),
+      }));
+    },
+
+    async isUserOnline(userId) {
+      return userSockets.has(userId);
+    },
+
+    async getOnlineUserIds() {
+      return Array.from(userSockets.keys());
+    },
+
+    async getCall(callId) {
+      const call = calls.get(callId);
+      if (!call || isExpired(call)) return null;
+      return call;
+    },
+
+    async saveCall(callId, call) {
+      calls.set(callId, call);
+    },
+
+    async deleteCall(callId) {
+      calls.delete(callId);
+    },
+
+    // Get all active calls as [callId, call] pairs, dropping stale ones
+    async getCalls() {
+      for (const [callId, call] of calls.entries()) {
+        if (isExpired(call)) {
+          console.log(`🧹 Cleaning up stale call ${callId} (age: ${Math.round((Date.now() - call.createdAt) / 60000)} minutes)`);
+          calls.delete(callId);
+        }
+      }
+      return Array.from(calls.entries());
+    },
+
+    // Increment a fixed-window counter, the window starts with the first hit
+    async incrementCounter(name, windowMs) {
+      const now = Date.now();
+      let counter = counters.get(name);
+
+      if (!counter || counter.resetAt <= now) {
+        // Drop expired counters now and then so the map doesn't grow forever
+        if (counters.size > 10000) {
+          for (const [key, value] of counters.entries()) {
+            if (value.resetAt <= now) counters.delete(key);
+          }
+        }
+        counter = { count: 0, resetAt: now + windowMs };
+        counters.set(name, counter);
+      }
+
+      counter.count += 1;
+      return { ...counter };
+    },
+
+    async getCounter(name) {
+      const counter = counters.get(name);
+      if (!counter || counter.resetAt <= Date.now()) return null;
+      return { ...counter };
+    },
+
+    async resetCounter(name) {
+      counters.delete(name);
+    },
+  };
+};
@@ -0,0 +1,184 @@
+// Redis-backed state store for presence, active calls and rate limit counters, shared by all server instances
+// Works with any client exposing the node-redis v4 command API
+// Each server instance records the sockets it owns and keeps an expiring heartbeat key alive,
+// so the sockets of an instance that crashed can be cleaned up by the others
+// Remove one socket and drop the user from the online set once they have none left, atomically
+// KEYS: socket info, user's socket set, online set, instance socket set
+const REMOVE_SOCKET_SCRIPT = `
+redis.call('DEL', KEYS[1])
+redis.call('SREM', KEYS[2], ARGV[2])
+redis.call('SREM', KEYS[4], ARGV[1] .. ':' .. ARGV[2])
+local count = redis.call('SCARD', KEYS[2])
+if count == 0 then
+  redis.call('SREM', KEYS[3], ARGV[1])
+end
+return count
+`;
+
+// Remove every socket a dead instance owned, returning the users left with no sockets
+// KEYS: instance socket set, instances set; ARGV: key prefix, instance ID
+const REMOVE_INSTANCE_SCRIPT = `
+local offline = {}
+for _, member in ipairs(redis.call('SMEMBERS', KEYS[1])) do
+  local sep = string.find(member, ':', 1, true)
+  local userId = string.sub(member, 1, sep - 1)
+  local socketId = string.sub(member, sep + 1)
+  local userKey = ARGV[1] .. 'user:' .. userId
+  redis.call('DEL', ARGV[1] .. 'socket:' .. socketId)
+  redis.call('SREM', userKey, socketId)
+  if redis.call('SCARD', userKey) == 0 then
+    redis.call('SREM', ARGV[1] .. 'online', userId)
+    table.insert(offline, userId)
+  end
+end
+redis.call('DEL', KEYS[1])
+redis.call('SREM', KEYS[2], ARGV[2])
+return offline
+`;
+
+export const createRedisStore = (client, { callTtl, instanceId, instanceTtl, prefix = 'chat:' }) => {
+  const key = (...parts) => `${prefix}${parts.join(':')}`;
+  const instanceSockets = (id) => key('instance', id, 'sockets');
+
+  return {
+    // Add a socket for a user, returns how many sockets the user now has
+    async addSocket(userId, socketId, info) {
+      const [, , , count] = await client
+        .multi()
+        .set(key('socket', socketId), JSON.stringify({ userId, ...info }))
+        .sAdd(instanceSockets(instanceId), `${userId}:${socketId}`)
+        .sAdd(key('user', userId), socketId)
+        .sCard(key('user', userId))
+        .sAdd(key('online'), userId)
+        .exec();
+      return count;
+    },
+
+    // Remove a socket for a user, returns how many sockets the user has left
+    async removeSocket(userId, socketId) {
+      return client.eval(REMOVE_SOCKET_SCRIPT, {
+        keys: [key('socket', socketId), key('user', userId), key('online'), instanceSockets(instanceId)],
+        arguments: [userId, socketId],
+      });
+    },
+
+    // Mark this instance alive for instanceTtl, called periodically
+    async registerInstance() {
+      await client
+        .multi()
+        .set(key('instance', instanceId), String(Date.now()), { PX: instanceTtl })
+        .sAdd(key('instances'), instanceId)
+        .exec();
+    },
+
+    // Remove the sockets of instances whose heartbeat expired
+    // Returns the IDs of users left with no sockets at all
+    async removeDeadInstances() {
+      const instanceIds = await client.sMembers(key('instances'));
+      const offlineUserIds = [];
+
+      for (const id of instanceIds) {
+        if (id === instanceId || (await client.exists(key('instance', id)))) continue;
+
+        const userIds = await client.eval(REMOVE_INSTANCE_SCRIPT, {
+          keys: [instanceSockets(id), key('instances')],
+          arguments: [prefix, id],
+        });
+        offlineUserIds.push(...userIds);
+      }
+
+      return offlineUserIds;
+    },
+
+    async getUserSocketIds(userId) {
+      return client.sMembers(key('user', userId));
+    },
+
+    async getUserDevices(userId) {
+      const socketIds = await client.sMembers(key('user', userId));
+      if (socketIds.length === 0) return [];
+
+      const infos = await client.mGet(socketIds.map((id) => key('socket', id)));
+      return socketIds
+        .map((socketId, index) => infos[index] && { socketId, ...JSON.parse(infos[index]) })
+        .filter(Boolean);
+    },
+
+    async isUserOnline(userId) {
+      return (await client.sCard(key('user', userId))) > 0;
+    },
+
+    async getOnlineUserIds() {
+      return client.sMembers(key('online'));
+    },
+
+    async getCall(callId) {
+      const call = await client.get(key('call', callId));
+      return call ? JSON.parse(call) : null;
+    },
+
+    // Calls expire on their own once they are older than the TTL
+    async saveCall(callId, call) {
+      const ttl = call.createdAt + callTtl - Date.now();
+      if (ttl <= 0) {
+        await this.deleteCall(callId);
+        return;
+      }
+
+      await client
+        .multi()
+        .set(key('call', callId), JSON.stringify(call), { PX: ttl })
+        .sAdd(key('calls'), callId)
+        .exec();
+    },
+
+    async deleteCall(callId) {
+      await client
+        .multi()
+        .del(key('call', callId))
+        .sRem(key('calls'), callId)
+        .exec();
+    },
+
+    // Get all active calls as [callId, call] pairs, dropping expired ones from the index
+    async getCalls() {
+      const callIds = await client.sMembers(key('calls'));
+      if (callIds.length === 0) return [];
+
+      const calls = await client.mGet(callIds.map((id) => key('call', id)));
+      const expired = callIds.filter((_, index) => !calls[index]);
+      if (expired.length > 0) {
+        await client.sRem(key('calls'), expired);
+      }
+
+      return callIds
+        .map((callId, index) => calls[index] && [callId, JSON.parse(calls[index])])
+        .filter(Boolean);
+    },
+
+    // Increment a fixed-window counter, the window starts with the first hit
+    async incrementCounter(name, windowMs) {
+      const [, count, ttl] = await client
+        .multi()
+        .set(key('counter', name), '0', { NX: true, PX: windowMs })
+        .incr(key('counter', name))
+        .pTTL(key('counter', name))
+        .exec();
+      return { count, resetAt: Date.now() + Math.max(ttl, 0) };
+    },
+
+    async getCounter(name) {
+      const [count, ttl] = await client
+        .multi()
+        .get(key('counter', name))
+        .pTTL(key('counter', name))
+        .exec();
+      if (count === null || ttl <= 0) return null;
+      return { count: parseInt(count), resetAt: Date.now() + ttl };
+    },
+
+    async resetCounter(name) {
+      await client.del(key('counter', name));
+    },
+  };
+};
@@ -0,0 +1,38 @@
+import { objectId } from './common.js';
+
+const password = { type: 'string', required: true, minLength: 6 };
+
+export const registerSchema = {
+  body: {
+    name: { type: 'string', required: true, notEmpty: true, minLength: 2, maxLength: 50 },
+    email: { type: 'email', required: true },
+    phone: { type: 'string' },
+    password,
+  },
+};
+
+export const loginSchema = {
+  body: {
+    email: { type: 'email', required: true },
+    password: { type: 'string', required: true },
+  },
+};
+
+export const updatePasswordSchema = {
+  body: {
+    currentPassword: { type: 'string', required: true },
+    newPassword: password,
+  },
+};
+
+export const refreshTokenSchema = {
+  body: {
+    refreshToken: { type: 'string', required: true },
+  },
+};
+
+export const sessionIdSchema = {
+  params: {
+    sessionId: objectId,
+  },
+};
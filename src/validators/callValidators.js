@@ -0,0 +1,14 @@
+import { optionalObjectId, pagination } from './common.js';
+
+export const initiateCallSchema = {
+  body: {
+    receiverId: optionalObjectId,
+    conversationId: optionalObjectId,
+    type: { type: 'string', required: true, enum: ['audio', 'video'] },
+    isGroupCall: { type: 'boolean' },
+  },
+};
+
+export const callHistorySchema = {
+  query: pagination,
+};
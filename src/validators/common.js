@@ -0,0 +1,15 @@
+// Field rules shared by several schemas
+
+export const objectId = { type: 'objectId', required: true };
+
+export const optionalObjectId = { type: 'objectId' };
+
+export const pagination = {
+  page: { type: 'number', min: 1 },
+  limit: { type: 'number', min: 1 },
+};
+
+// Schema for routes that only take ObjectId path params, e.g. idParams('conversationId')
+export const idParams = (...names) => ({
+  params: Object.fromEntries(names.map((name) => [name, objectId])),
+});
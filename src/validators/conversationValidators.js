@@ -0,0 +1,69 @@
+import { GROUP_SETTINGS, DISAPPEARING_DURATIONS } from '../models/Conversation.js';
+import { idParams } from './common.js';
+
+const groupName = { type: 'string', notEmpty: true, maxLength: 100 };
+const groupDescription = { type: 'string', maxLength: 500 };
+const memberIds = { type: 'array', required: true, items: { type: 'objectId' } };
+
+export const conversationIdSchema = idParams('id');
+
+export const privateConversationSchema = idParams('userId');
+
+export const groupMemberSchema = idParams('id', 'userId');
+
+export const muteConversationSchema = {
+  ...conversationIdSchema,
+  body: {
+    duration: { type: 'string', required: true },
+  },
+};
+
+export const disappearingMessagesSchema = {
+  ...conversationIdSchema,
+  body: {
+    duration: { type: 'string', required: true, enum: Object.keys(DISAPPEARING_DURATIONS) },
+  },
+};
+
+export const createGroupSchema = {
+  body: {
+    name: { ...groupName, required: true },
+    description: groupDescription,
+    participants: { ...memberIds, minItems: 2, maxItems: 256 },
+  },
+};
+
+export const updateGroupSchema = {
+  ...conversationIdSchema,
+  body: {
+    name: groupName,
+    description: groupDescription,
+  },
+};
+
+export const addParticipantsSchema = {
+  ...conversationIdSchema,
+  body: {
+    participants: { ...memberIds, minItems: 1, maxItems: 256 },
+  },
+};
+
+export const groupSettingsSchema = {
+  ...conversationIdSchema,
+  body: Object.fromEntries(GROUP_SETTINGS.map((setting) => [setting, { type: 'boolean' }])),
+};
+
+export const revokeInviteSchema = {
+  ...conversationIdSchema,
+  query: {
+    reset: { type: 'boolean' },
+  },
+};
+
+export const inviteCodeSchema = {
+  params: {
+    code: { type: 'string', required: true, maxLength: 64 },
+  },
+};
+
+export const joinRequestSchema = idParams('id', 'userId');
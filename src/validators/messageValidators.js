@@ -0,0 +1,112 @@
+import { optionalObjectId, idParams } from './common.js';
+
+const MAX_CONTENT_LENGTH = 10000;
+
+const content = { type: 'string', required: true, notEmpty: true, maxLength: MAX_CONTENT_LENGTH };
+const limit = { type: 'number', min: 1 };
+
+export const conversationIdSchema = idParams('conversationId');
+
+export const messageIdSchema = idParams('messageId');
+
+export const scheduledIdSchema = idParams('scheduledId');
+
+export const getMessagesSchema = {
+  ...conversationIdSchema,
+  query: {
+    before: { type: 'string' },
+    after: { type: 'string' },
+    around: optionalObjectId,
+    limit,
+  },
+};
+
+export const getThreadSchema = {
+  ...messageIdSchema,
+  query: {
+    after: { type: 'string' },
+    limit,
+  },
+};
+
+export const searchMessagesSchema = {
+  query: {
+    q: { type: 'string', required: true, notEmpty: true, maxLength: 200 },
+    conversationId: optionalObjectId,
+    senderId: optionalObjectId,
+    type: { type: 'string' },
+    from: { type: 'date' },
+    to: { type: 'date' },
+    cursor: { type: 'string' },
+    limit,
+  },
+};
+
+export const sendMessageSchema = {
+  ...conversationIdSchema,
+  body: {
+    content,
+    // Media messages are sent through the upload routes
+    type: { type: 'string', enum: ['text', 'location', 'contact', 'sticker'] },
+    replyTo: optionalObjectId,
+    threadRoot: optionalObjectId,
+  },
+};
+
+// Upload routes check conversationIdSchema before multer runs, so these only cover the body
+export const sendFileSchema = {
+  body: {
+    replyTo: optionalObjectId,
+  },
+};
+
+export const sendVoiceSchema = {
+  body: {
+    duration: { type: 'number', min: 0 },
+  },
+};
+
+export const sendAlbumSchema = {
+  body: {
+    caption: { type: 'string', maxLength: MAX_CONTENT_LENGTH },
+  },
+};
+
+export const forwardMessagesSchema = {
+  body: {
+    messageIds: { type: 'array', required: true, minItems: 1, maxItems: 100, items: { type: 'objectId' } },
+    conversationIds: { type: 'array', required: true, minItems: 1, maxItems: 20, items: { type: 'objectId' } },
+  },
+};
+
+export const scheduleMessageSchema = {
+  ...conversationIdSchema,
+  body: {
+    content,
+    scheduledFor: { type: 'date', required: true },
+    replyTo: optionalObjectId,
+  },
+};
+
+export const updateScheduledMessageSchema = {
+  ...scheduledIdSchema,
+  body: {
+    content: { ...content, required: false },
+    scheduledFor: { type: 'date' },
+  },
+};
+
+export const editMessageSchema = {
+  ...messageIdSchema,
+  body: {
+    content,
+  },
+};
+
+export const reactSchema = {
+  ...messageIdSchema,
+  body: {
+    // Omit to remove the current reaction
+    emoji: { type: 'string', maxLength: 32 },
+  },
+};
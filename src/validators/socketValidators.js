@@ -0,0 +1,53 @@
+import { objectId, optionalObjectId } from './common.js';
+
+const content = { type: 'string', required: true, notEmpty: true, maxLength: 10000 };
+const signal = { type: 'object', required: true };
+const roomId = { type: 'string', required: true, notEmpty: true, maxLength: 100 };
+const conversationEvent = { conversationId: objectId };
+const callEvent = { to: objectId, callId: optionalObjectId };
+
+// Payload rules for each socket event, checked before the handler runs
+const socketEventSchemas = {
+  'send-message': {
+    conversationId: objectId,
+    content,
+    type: { type: 'string', enum: ['text', 'location', 'contact', 'sticker'] },
+    replyTo: optionalObjectId,
+    threadRoot: optionalObjectId,
+  },
+  'edit-message': {
+    messageId: objectId,
+    content,
+  },
+  'typing-start': conversationEvent,
+  'typing-stop': conversationEvent,
+  'messages-read': conversationEvent,
+  'join-conversation': conversationEvent,
+  'leave-conversation': conversationEvent,
+  sync: {
+    cursor: { type: 'string' },
+  },
+
+  // Calls
+  'call-user': {
+    userToCall: objectId,
+    signalData: signal,
+    callType: { type: 'string', required: true, enum: ['audio', 'video'] },
+    callId: objectId,
+  },
+  'answer-call': { ...callEvent, signal },
+  'ice-candidate': { to: objectId, candidate: signal },
+  'reject-call': callEvent,
+  'end-call': callEvent,
+  'user-busy': callEvent,
+
+  // Group calls and screen sharing
+  'join-call-room': { roomId },
+  'leave-call-room': { roomId },
+  'group-call-signal': { roomId, userToSignal: objectId, signal },
+  'group-call-return-signal': { to: objectId, signal, roomId: { ...roomId, required: false } },
+  'screen-share-started': { conversationId: optionalObjectId, roomId: { ...roomId, required: false } },
+  'screen-share-stopped': { conversationId: optionalObjectId, roomId: { ...roomId, required: false } },
+};
+
+export default socketEventSchemas;
@@ -0,0 +1,28 @@
+import { PRIVACY_OPTIONS } from '../models/User.js';
+import { pagination } from './common.js';
+
+const privacyOption = { type: 'string', enum: PRIVACY_OPTIONS };
+
+export const getUsersSchema = {
+  query: {
+    search: { type: 'string', maxLength: 100 },
+    ...pagination,
+  },
+};
+
+export const updateProfileSchema = {
+  body: {
+    name: { type: 'string', notEmpty: true, minLength: 2, maxLength: 50 },
+    about: { type: 'string', maxLength: 200 },
+    phone: { type: 'string', maxLength: 20 },
+  },
+};
+
+export const updatePrivacySchema = {
+  body: {
+    lastSeen: privacyOption,
+    online: privacyOption,
+    profilePhoto: privacyOption,
+    readReceipts: { type: 'boolean' },
+  },
+};